@@ -1,12 +1,18 @@
 // Copyright © 2016 Jan Keromnes. All rights reserved.
 // The following code is covered by the MIT license.
 
+var events = require('events');
 var http = require('http');
 var https = require('https');
+var net = require('net');
 var nodepath = require('path');
+var stream = require('stream');
 var url = require('url');
 
 var options = {
+  // Automatically answer OPTIONS requests, and requests with unsupported
+  // methods ("405 Method Not Allowed"), for all API resources.
+  automaticMethods: false,
   jsonStringifyReplacer: null,
   jsonStringifySpaces: 2
 };
@@ -24,6 +30,19 @@ function API (parameters) {
   this.beforeEachTest = parameters.beforeEachTest || null;
   this.afterEachTest = parameters.afterEachTest || null;
 
+  // Whether own (and children's) tests may run alongside other tests, e.g. set
+  // to `false` for API resources that share state.
+  this.concurrentTests = parameters.concurrentTests !== false;
+
+  // Self-test timeout in milliseconds for own (and children's) examples.
+  this.testTimeout = parameters.testTimeout || null;
+
+  // Authentication scheme required by own (and children's) request handlers,
+  // e.g. `'bearer'` or `{ type: 'apiKey', header: 'X-API-Key' }` (`false` for
+  // none, `null` to inherit it).
+  this.auth = (parameters.auth === undefined ? null : parameters.auth);
+  checkAuth(this.auth);
+
   // Parent API resource (or root server app).
   this.parent = parameters.parent || null;
 
@@ -32,12 +51,22 @@ function API (parameters) {
 
   // Own request handlers (handler parameters) by method (e.g. 'post').
   this.handlers = {};
+
+  // Own middleware functions, for own (and children's) request handlers.
+  this.middleware = [];
+
+  // API versions (API instances) by name (e.g. 'v2').
+  this.versions = {};
+
+  // Name and previous version of this API version (if it is one).
+  this.versionName = null;
+  this.previousVersion = null;
 }
 
 API.prototype = {
   api: selfapi,
 
-  methods: ['get', 'post', 'patch', 'put', 'delete'],
+  methods: ['get', 'post', 'patch', 'put', 'delete', 'head', 'options', 'all'],
 
   set parent (parent) {
     // Check if the same `parent` is already in use.
@@ -45,6 +74,11 @@ API.prototype = {
       return;
     }
 
+    // Leave the previous parent (if any).
+    if (this._parent) {
+      this.detach();
+    }
+
     // Check if `parent` is another API instance.
     if (parent instanceof API) {
       parent.children[this.path] = this;
@@ -57,7 +91,8 @@ API.prototype = {
     var exporter = getHandlerExporter(parent);
     if (exporter) {
       this._parent = {
-        exportHandler: exporter
+        exportHandler: exporter,
+        unexportHandler: getHandlerRemover(parent)
       };
       this.exportAllHandlers();
       return;
@@ -86,11 +121,15 @@ API.prototype = {
       parameters = path;
       path = null;
     }
+    checkAuth((parameters || {}).auth);
 
     path = normalizePath(path);
     if (!path) {
       this.handlers[method] = parameters;
       this.exportHandler(method, null, parameters);
+      if (options.automaticMethods) {
+        this.addAutomaticHandlers();
+      }
       return;
     }
 
@@ -101,14 +140,155 @@ API.prototype = {
     child.addHandler(method, null, parameters);
   },
 
+  // Add request handlers that answer OPTIONS requests with an `Allow` header,
+  // and requests with unsupported methods with "405 Method Not Allowed".
+  addAutomaticHandlers: function () {
+    // Handlers for all methods leave nothing to answer automatically.
+    if (hasOwnAllHandler(this)) {
+      return;
+    }
+    var automaticHandlers = {
+      options: getOptionsHandler(this),
+      all: getMethodNotAllowedHandler(this)
+    };
+    for (var method in automaticHandlers) {
+      if (!this.handlers[method]) {
+        this.handlers[method] = automaticHandlers[method];
+        this.exportHandler(method, null, automaticHandlers[method]);
+      }
+    }
+  },
+
+  // Replace an existing request handler of this API resource (or of a
+  // sub-resource).
+  replace: function (method, path, parameters) {
+    var resource = this;
+    if (path && parameters) {
+      resource = this.children[normalizePath(path)];
+    }
+    if (!resource || !resource.handlers[method]) {
+      throw new Error('No handler to replace: ' + method.toUpperCase() + ' ' +
+        (parameters ? path : this.path));
+    }
+    return this.addHandler(method, path, parameters);
+  },
+
+  // Remove a request handler from this API resource (or from a sub-resource).
+  remove: function (method, path) {
+    var resource = this;
+    path = normalizePath(path);
+    if (path) {
+      resource = this.children[path];
+    }
+    if (!resource || !resource.handlers[method]) {
+      return false;
+    }
+    var parameters = resource.handlers[method];
+    delete resource.handlers[method];
+    resource.unexportHandler(method, null, parameters);
+    return true;
+  },
+
+  // Detach this API resource (and its sub-resources) from its parent.
+  detach: function () {
+    var parent = this.parent;
+    if (!parent) {
+      return;
+    }
+    this.unexportAllHandlers();
+    if ((parent instanceof API) && parent.children[this.path] === this) {
+      delete parent.children[this.path];
+    }
+    this._parent = null;
+  },
+
+  // Create (or get) a version of this API, mounted at e.g. '/v2', optionally
+  // as a copy of a previous version (e.g. `{ from: 'v1' }`).
+  version: function (name, versionOptions) {
+    if (this.versions[name]) {
+      return this.versions[name];
+    }
+    versionOptions = versionOptions || {};
+
+    var from = null;
+    if (versionOptions.from) {
+      from = this.versions[versionOptions.from];
+      if (!from) {
+        throw new Error('Unknown API version: ' + versionOptions.from);
+      }
+    }
+
+    var version = from ? cloneAPI(from) : new API({});
+    version.path = versionOptions.path || '/' + name;
+    version.title = versionOptions.title ||
+      ((this.title ? this.title + ' ' : '') + name);
+    version.description = versionOptions.description ||
+      (from ? from.description : null);
+    version.versionName = name;
+    version.previousVersion = from;
+    this.versions[name] = version;
+    version.parent = this;
+    return version;
+  },
+
+  // List the changes of this API version since a previous one (e.g. 'v1'),
+  // like `[{ change: 'added', method: 'POST', path: '/items', title: … }]`.
+  changesSince: function (previous) {
+    if (typeof previous === 'string') {
+      var parent = this.parent;
+      previous = (parent instanceof API) ? parent.versions[previous] : null;
+    }
+    if (!(previous instanceof API)) {
+      throw new Error('Unknown API version: ' + previous);
+    }
+    return getVersionChanges(previous, this);
+  },
+
+  // Add middleware functions (e.g. for authentication) that run before all
+  // request handlers of this API resource and its sub-resources.
+  use: function (/* …middleware */) {
+    for (var i = 0; i < arguments.length; i++) {
+      [].concat(arguments[i]).forEach(function (middleware) {
+        if (typeof middleware !== 'function') {
+          throw new Error('Middleware should be a function: ' + middleware);
+        }
+        this.middleware.push(middleware);
+      }, this);
+    }
+    return this;
+  },
+
   // Backpropagate a new request handler up the API resource tree in order to
-  // register it at the root.
-  exportHandler: function (method, path, parameters) {
+  // register it at the root (along with the API resource it belongs to).
+  exportHandler: function (method, path, parameters, resource) {
+    if (!this.parent) {
+      return;
+    }
+    var fullPath = normalizePath(path, this.path);
+    this.parent.exportHandler(method, fullPath, parameters, resource || this);
+  },
+
+  // Backpropagate the removal of a request handler up the API resource tree in
+  // order to unregister it at the root.
+  unexportHandler: function (method, path, parameters) {
     if (!this.parent) {
       return;
     }
     var fullPath = normalizePath(path, this.path);
-    this.parent.exportHandler(method, fullPath, parameters);
+    this.parent.unexportHandler(method, fullPath, parameters);
+  },
+
+  // Unexport all request handlers from this API resource tree.
+  unexportAllHandlers: function () {
+    if (!this.parent) {
+      return;
+    }
+    for (var method in this.handlers) {
+      this.unexportHandler(method, null, this.handlers[method]);
+    }
+    for (var path in this.children) {
+      this.children[path].unexportAllHandlers();
+    }
   },
 
   // (Re-)export all request handlers from this API resource tree.
@@ -125,93 +305,280 @@ API.prototype = {
     }
   },
 
-  // Export all request handler examples as self-test functions.
-  exportAllTests: function (baseUrl, callback) {
-    var self = this;
-    var tests = [];
-
-    // Export own request handler examples as test functions.
-    for (var method in self.handlers) {
-      var handler = self.handlers[method];
-      if (!handler.examples) {
-        throw (
-          'Handler ' + method.toUpperCase() + ' ' + this.path +
-            ' does not have examples!'
-        );
-      }
-      handler.examples.forEach(function (example) {
-        var test =
-          self.testHandlerExample.bind(self, baseUrl, method, handler, example);
-        tests.push(test);
-      });
+  // Export all request handler examples as self-test functions, optionally
+  // filtered (e.g. `{ only: { tags: ['smoke'] } }`).
+  exportAllTests: function (baseUrl, testOptions, callback) {
+    if (typeof testOptions === 'function') {
+      callback = testOptions;
+      testOptions = null;
     }
+    testOptions = testOptions || {};
 
-    // Don't hang when there are no children.
-    var pendingChildren = Object.keys(self.children).length;
-    if (pendingChildren === 0) {
-      callback(tests);
-      return;
+    // Collect all request handler examples in this API resource tree.
+    var entries = [];
+    (function collectExamples (resource, resourceBaseUrl) {
+      var resourceUrl = url.parse(String(resourceBaseUrl));
+      resourceUrl.pathname = normalizePath(resource.path, resourceUrl.pathname);
+      var fullPath = resourceUrl.pathname || '/';
+      var concurrent = allowsConcurrentTests(resource);
+
+      for (var method in resource.handlers) {
+        var handler = resource.handlers[method];
+        // Handlers without examples are reported as skipped.
+        var examples = handler.examples || [ null ];
+        examples.forEach(function (example) {
+          var entry = {
+            resource: resource,
+            baseUrl: resourceBaseUrl,
+            path: fullPath,
+            method: method,
+            handler: handler,
+            example: example || {},
+            missingExamples: !example,
+            concurrent: concurrent
+          };
+          entries.push(entry);
+
+          // Also check that examples are refused without credentials, e.g.
+          // with `unauthenticated: true` (or an expected status like 403).
+          if (example && example.unauthenticated) {
+            var variant = {};
+            for (var key in entry) {
+              variant[key] = entry[key];
+            }
+            variant.example = getUnauthenticatedExample(example,
+              getAuth(resource, handler));
+            entries.push(variant);
+          }
+        });
+      }
+
+      var childBaseUrl = url.format(resourceUrl);
+      for (var path in resource.children) {
+        collectExamples(resource.children[path], childBaseUrl);
+      }
+    })(this, baseUrl);
+
+    // Examples marked with `only: true` exclude all others.
+    var hasOnlyExamples = entries.some(function (entry) {
+      return entry.example.only === true;
+    });
+
+    var tests = entries.map(function (entry) {
+      var reason = getSkipReason(entry, testOptions, hasOnlyExamples);
+      var test = null;
+      if (reason) {
+        test = getSkippedTest(entry, reason);
+      } else {
+        test = entry.resource.testHandlerExample.bind(entry.resource,
+          entry.baseUrl, entry.method, entry.handler, entry.example,
+          testOptions);
+      }
+      test.concurrent = entry.concurrent;
+      test.id = entry.example.id;
+      test.dependsOn = [].concat(entry.example.dependsOn || []);
+      test.skip = getSkippedTest.bind(null, entry);
+      return test;
+    });
+
+    callback(tests);
+  },
+
+  // Test the API using its own request/response examples.
+  test: function (baseUrl, testOptions, callback) {
+    if (typeof testOptions === 'function') {
+      callback = testOptions;
+      testOptions = null;
     }
+    testOptions = testOptions || {};
 
-    // Export children's request handler test functions recursively.
-    var childBaseUrl = url.parse(String(baseUrl));
-    childBaseUrl.pathname = normalizePath(self.path, childBaseUrl.pathname);
-    childBaseUrl = url.format(childBaseUrl);
-    for (var path in self.children) {
-      self.children[path].exportAllTests(childBaseUrl, function (childTests) {
-        tests = tests.concat(childTests);
-        pendingChildren--;
-        if (pendingChildren === 0) {
-          callback(tests);
-        }
+    // Without a callback, report the results (and any error), and return a
+    // Promise.
+    var promise;
+    if (!callback) {
+      var report = getReporter(testOptions.reporter);
+      promise = new Promise(function (resolve, reject) {
+        callback = function (error, results) {
+          if (report) {
+            if (error) {
+              console.error.apply(console,
+                error.stack ? [ error.stack ] : [ 'Error:', error ]);
+            }
+            console.log(report(results));
+          }
+          if (error) {
+            reject(error);
+            return;
+          }
+          resolve(results);
+        };
       });
+      // Errors are already reported, so callers may ignore the Promise.
+      promise.catch(function () {});
     }
-  },
 
-  // Test the API using its own request/response examples.
-  test: function (baseUrl, callback) {
-    callback = callback || function (error, results) {
-      if (error) {
-        console.error.apply(console,
-          error.stack ? [ error.stack ] : [ 'Error:', error ]);
-      }
-      var total = results.passed.length + results.failed.length;
-      console.log('Results: ' + results.passed.length + '/' + total + ' test' +
-        (total === 1 ? '' : 's') + ' passed.');
-      if (results.failed.length > 0) {
-        console.error('Failed:', jsonStringifyWithFunctions(results.failed));
-      }
-    };
+    // Run tests in a random but reproducible order, e.g. `{ seed: 42 }`.
+    var seed = (testOptions.seed === undefined
+      ? Math.floor(Math.random() * 0x100000000)
+      : Number(testOptions.seed));
+    var random = createRandom(seed);
+
+    // Run up to `concurrency` tests at the same time.
+    var concurrency = Math.max(1, testOptions.concurrency || 1);
 
     var results = {
       failed: [],
-      passed: []
+      passed: [],
+      skipped: [],
+      warnings: [],
+      seed: seed
     };
 
-    this.exportAllTests(baseUrl, function runNextTest (tests) {
-      if (tests.length === 0) {
-        callback(null, results);
+    // Warn about deprecated request handlers that outlived their sunset date.
+    forEachHandler(this, null, function (resource, method, handler, path) {
+      if (isPastSunset(handler)) {
+        results.warnings.push({
+          handler: handler.title,
+          method: method,
+          path: path,
+          message: 'Sunset date ' +
+            formatDeprecationDate(getDeprecation(handler).sunset) +
+            ' has passed, but ' + method.toUpperCase() + ' ' + path +
+            ' is still registered'
+        });
+      }
+    });
+
+    // Share values captured from responses between examples (e.g. `{{id}}`).
+    var runOptions = {};
+    for (var option in testOptions) {
+      runOptions[option] = testOptions[option];
+    }
+    runOptions.variables = {};
+    for (var variable in testOptions.variables) {
+      runOptions.variables[variable] = testOptions.variables[variable];
+    }
+
+    // Test in-process when given a server app (or a request listener) instead
+    // of a base URL, e.g. `api.test(app)`.
+    var requestListener = getRequestListener(baseUrl);
+    if (requestListener) {
+      runOptions.app = requestListener;
+      baseUrl = 'http://localhost' + (testOptions.basePath || '');
+    }
+
+    this.exportAllTests(baseUrl, runOptions, function (tests) {
+      var dependencyError = getDependencyError(tests);
+      if (dependencyError) {
+        callback(dependencyError, results);
         return;
       }
+      shuffle(tests, random);
+
+      var running = 0;
+      var runningAlone = false;
+      var finished = false;
+
+      // Outcomes of finished examples by id (e.g. 'passed').
+      var outcomes = {};
+
+      // Find the next test whose dependencies have all finished.
+      function getNextTestIndex () {
+        for (var i = 0; i < tests.length; i++) {
+          var ready = tests[i].dependsOn.every(function (id) {
+            return id in outcomes;
+          });
+          if (ready) {
+            return i;
+          }
+        }
+        return -1;
+      }
+
+      function runNextTests () {
+        if (finished) {
+          return;
+        }
+        if (tests.length === 0 && running === 0) {
+          finished = true;
+          callback(null, results);
+          return;
+        }
+        while (tests.length > 0 && running < concurrency && !runningAlone) {
+          var index = getNextTestIndex();
+          if (index < 0) {
+            if (running === 0) {
+              finished = true;
+              callback(new Error('Circular dependencies between examples: ' +
+                tests.map(function (test) { return test.id; }).join(', ')),
+                results);
+            }
+            return;
+          }
+          // Tests that can't run concurrently wait for all others to finish.
+          var alone = tests[index].concurrent === false;
+          if (alone && running > 0) {
+            return;
+          }
+          var test = tests.splice(index, 1)[0];
+          running++;
+          runningAlone = alone;
+          runTest(test);
+        }
+      }
+
+      // Run a test, unless one of its dependencies didn't pass.
+      function runTest (test) {
+        var run = test;
+        test.dependsOn.some(function (id) {
+          if (outcomes[id] !== 'passed') {
+            run = test.skip('Depends on ' + outcomes[id] + ' example "' + id +
+              '"');
+            return true;
+          }
+          return false;
+        });
+        run(function (error, testResults) {
+          if (test.id !== undefined) {
+            outcomes[test.id] = getTestOutcome(testResults);
+          }
+          onTestFinished(error, testResults);
+        });
+      }
 
-      var i = Math.floor(Math.random() * tests.length);
-      var test = tests.splice(i, 1)[0];
-      test(function (error, testResults) {
+      function onTestFinished (error, testResults) {
+        running--;
+        runningAlone = false;
+        if (finished) {
+          return;
+        }
         if (testResults) {
           results.failed = results.failed.concat(testResults.failed);
           results.passed = results.passed.concat(testResults.passed);
+          results.skipped = results.skipped.concat(testResults.skipped || []);
         }
         if (error) {
+          finished = true;
           callback(error, results);
           return;
         }
-        runNextTest(tests);
-      });
+        runNextTests();
+      }
+
+      runNextTests();
     });
+
+    return promise;
   },
 
   // Test a request handler against one of its own request/response examples.
-  testHandlerExample: function (baseUrl, method, handler, example, callback) {
+  testHandlerExample: function (baseUrl, method, handler, example, testOptions,
+    callback) {
+    if (typeof testOptions === 'function') {
+      callback = testOptions;
+      testOptions = null;
+    }
+    testOptions = testOptions || {};
     baseUrl = baseUrl || 'http://localhost';
 
     var client = null;
@@ -223,7 +590,10 @@ API.prototype = {
     var testUrl = url.parse(String(baseUrl));
     testUrl.pathname = normalizePath(self.path, testUrl.pathname);
     testUrl = url.parse(url.format(testUrl));
-    switch (testUrl.protocol) {
+    switch (testOptions.app ? 'app' : testUrl.protocol) {
+      case 'app':
+        client = getInProcessClient(testOptions.app);
+        break;
       case 'https:':
         client = https;
         break;
@@ -249,14 +619,16 @@ API.prototype = {
       return;
     }
 
+    var variables = testOptions.variables || {};
+    var exampleRequest = substituteVariables(example.request || {}, variables);
+
+    // Handlers for all methods are tested with GET, unless specified.
     var requestOptions = {
       hostname: testUrl.hostname,
       port: testUrl.port,
       path: testUrl.pathname,
-      method: method
+      method: exampleRequest.method || (method === 'all' ? 'get' : method)
     };
-
-    var exampleRequest = example.request || {};
     var exampleResponse = example.response || {};
 
     if (exampleRequest.urlParameters) {
@@ -265,128 +637,131 @@ API.prototype = {
     }
 
     if (exampleRequest.queryParameters) {
-      var queryPairs = [];
-      for (var queryParameter in exampleRequest.queryParameters) {
-        var queryValue = exampleRequest.queryParameters[queryParameter];
-        queryPairs.push(encodeURIComponent(queryParameter) +
-          (queryValue ? '=' + encodeURIComponent(queryValue) : ''));
-      }
-      requestOptions.path += '?' + queryPairs.join('&');
+      requestOptions.path += '?' +
+        getQueryString(exampleRequest.queryParameters);
     }
 
     if (exampleRequest.headers) {
       requestOptions.headers = exampleRequest.headers;
     }
 
+    // Send credentials for the required authentication scheme (if any), unless
+    // the example opts out with `auth: false`.
+    var auth = getAuth(self, handler);
+    if (auth && example.auth !== false) {
+      requestOptions.headers = getAuthenticatedHeaders(auth,
+        testOptions.credentials, requestOptions.headers);
+    }
+
     var summary = {
       handler: handler.title || '(no title)',
       method: requestOptions.method,
       uri: requestOptions.path,
       request: exampleRequest
     };
+    if (auth && example.auth === false) {
+      summary.unauthenticated = true;
+    }
 
-    beforeEachTest(function (error) {
-      if (error) {
-        callback(error, results);
-        return;
-      }
-
-      var request = client.request(requestOptions, function (response) {
-        var success = true;
-
-        var expectedStatusCode = (typeof exampleResponse.status === 'function'
-          ? exampleResponse.status
-          : function (statusCode) {
-            return statusCode === (exampleResponse.status || 200);
-          });
-        if (!expectedStatusCode(response.statusCode)) {
-          success = false;
-        }
-
-        var expectedHeaders = null;
-        if (exampleResponse.headers) {
-          expectedHeaders = exampleResponse.headers;
-          for (var header in expectedHeaders) {
-            var headerValue = expectedHeaders[header];
-            var expectedHeaderValue = (typeof headerValue === 'function'
-              ? headerValue
-              : function (value) {
-                return value === headerValue;
-              });
-            if (!expectedHeaderValue(response.headers[header.toLowerCase()])) {
-              success = false;
-              break;
-            }
-          }
-        }
+    // Retry flaky examples a few times, waiting longer after each attempt.
+    var timeout = getTestTimeout(self, example, testOptions);
+    var retries = getTestOption('retries', example, testOptions, 0);
+    var retryDelay = getTestOption('retryDelay', example, testOptions, 100);
+    var attempts = [];
 
-        var expectedBody = null;
-        if ('body' in exampleResponse) {
-          var exampleBody = exampleResponse.body;
-          expectedBody = (typeof exampleBody === 'function'
-            ? exampleBody
-            : function (body) {
-              return body === jsonStringifyIfObject(exampleBody).trim();
-            });
-        }
+    function finish (passed) {
+      if (attempts.length > 1 || attempts.some(hasTimedOut)) {
+        summary.attempts = attempts;
+      }
+      if (passed) {
+        results.passed.push(summary);
+      } else {
+        results.failed.push(summary);
+      }
+      callTestHook(afterEachTest, function (error) {
+        callback(error, results);
+      });
+    }
 
-        var body = '';
-        response.on('data', function (chunk) {
-          body += String(chunk);
-        });
+    function retry () {
+      if (attempts.length > retries) {
+        return false;
+      }
+      setTimeout(attempt, retryDelay * Math.pow(2, attempts.length - 1));
+      return true;
+    }
 
-        response.on('end', function () {
-          clearTimeout(timeout);
-          body = body.trim();
-          if (expectedBody !== null && !expectedBody(body)) {
-            success = false;
-          }
-          if (success) {
-            summary.response = exampleResponse;
-            results.passed.push(summary);
-            afterEachTest(function (error) {
-              callback(error, results);
+    function attempt () {
+      sendTestRequest(client, requestOptions, exampleRequest, timeout,
+        function (error, actual) {
+          if (error) {
+            attempts.push({
+              error: error.message || String(error),
+              timedOut: Boolean(error.timedOut)
             });
+            if (retry()) {
+              return;
+            }
+            summary.expectedResponse = exampleResponse;
+            summary.actualResponse = {
+              error: error.message || String(error)
+            };
+            finish(false);
             return;
           }
-          summary.expectedResponse = exampleResponse;
-          summary.actualResponse = {
-            status: response.statusCode
-          };
-          if (expectedHeaders !== null) {
-            summary.actualResponse.headers = response.headers;
-          }
-          if (expectedBody !== null) {
-            summary.actualResponse.body = body;
-          }
-          results.failed.push(summary);
-          afterEachTest(function (error) {
-            callback(error, results);
-          });
-        });
-      });
 
-      request.on('error', function (error) {
-        clearTimeout(timeout);
-        summary.expectedResponse = exampleResponse;
-        summary.actualResponse = {
-          error: error.message || String(error)
-        };
-        results.failed.push(summary);
-        afterEachTest(function (error) {
-          callback(error, results);
+          checkExampleResponse(handler, exampleResponse, actual,
+            function (check) {
+              attempts.push({ status: actual.status });
+              var captureError = null;
+              if (check.ok && example.capture) {
+                captureError = captureResponseValues(example.capture, actual,
+                  variables);
+              }
+              if ((!check.ok || captureError) && retry()) {
+                return;
+              }
+              if (check.schemaViolations.length > 0) {
+                summary.schemaViolations = check.schemaViolations;
+              }
+              if (check.ok && !captureError) {
+                summary.response = exampleResponse;
+                finish(true);
+                return;
+              }
+              if (captureError) {
+                summary.captureError = captureError;
+              }
+              summary.expectedResponse = exampleResponse;
+              summary.actualResponse = {
+                status: actual.status
+              };
+              if (exampleResponse.headers ||
+                  check.schemaViolations.some(isInHeaders)) {
+                summary.actualResponse.headers = actual.headers;
+              }
+              if (check.bodyDiff) {
+                summary.bodyDiff = check.bodyDiff;
+              }
+              if ((('body' in exampleResponse) && !check.bodyDiff) ||
+                  check.schemaViolations.some(isInBody) || captureError) {
+                summary.actualResponse.body = actual.body;
+              }
+              if (check.error) {
+                summary.predicateError = check.error.message ||
+                  String(check.error);
+              }
+              finish(false);
+            });
         });
-      });
-
-      // Abort requests that take longer than 10 seconds.
-      var timeout = setTimeout(function () {
-        request.emit('error', new Error('timed out'));
-      }, 10000);
+    }
 
-      if ('body' in exampleRequest) {
-        request.write(jsonStringifyIfObject(exampleRequest.body));
+    callTestHook(beforeEachTest, function (error) {
+      if (error) {
+        callback(error, results);
+        return;
       }
-      request.end();
+      attempt();
     });
   },
 
@@ -403,11 +778,93 @@ API.prototype = {
     return routes;
   },
 
-  // Export API documentation as HTML.
-  toHTML: function (basePath, anchors) {
+  // Report which request handlers are documented and tested, as JSON or as a
+  // text table (e.g. `{ format: 'text', threshold: 80 }`). Throws an Error if
+  // the coverage percentage is below `threshold`.
+  coverage: function (basePath, coverageOptions) {
+    if (basePath && typeof basePath === 'object') {
+      coverageOptions = basePath;
+      basePath = null;
+    }
+    coverageOptions = coverageOptions || {};
+
+    var report = {
+      routes: [],
+      percentage: 100
+    };
+    var checks = 0;
+    var passedChecks = 0;
+
+    forEachHandler(this, basePath, function (resource, method, handler,
+      fullPath) {
+      var examples = handler.examples || [];
+      var route = {
+        method: method.toUpperCase(),
+        path: fullPath,
+        title: Boolean(handler.title),
+        description: Boolean(handler.description),
+        examples: examples.length,
+        parameters: Boolean(handler.parameters),
+        statusCodes: getExampleStatusCodes(examples),
+        untestedStatusCodes: []
+      };
+      for (var status in handler.responses || {}) {
+        if (/^\d{3}$/.test(status) &&
+            route.statusCodes.indexOf(Number(status)) < 0) {
+          route.untestedStatusCodes.push(Number(status));
+        }
+      }
+      report.routes.push(route);
+
+      // Each route should have a title, a description and examples.
+      checks += 3;
+      passedChecks += Number(route.title) + Number(route.description) +
+        Number(route.examples > 0);
+    });
+
+    if (checks > 0) {
+      report.percentage = Math.floor(100 * passedChecks / checks);
+    }
+
+    var threshold = coverageOptions.threshold;
+    if (typeof threshold === 'number' && report.percentage < threshold) {
+      throw new Error('API coverage (' + report.percentage + '%) is below ' +
+        'the threshold (' + threshold + '%):\n' +
+        formatCoverageReport(report));
+    }
+
+    if (coverageOptions.format === 'text') {
+      return formatCoverageReport(report);
+    }
+    return report;
+  },
+
+  // Export API documentation as HTML (with all text escaped), optionally with
+  // an interactive "Try it" form for each request handler (`{ interactive:
+  // true }`, or `{ interactive: { baseUrl: 'https://…' } }`).
+  toHTML: function (basePath, htmlOptions) {
+    if (basePath && typeof basePath === 'object') {
+      htmlOptions = basePath;
+      basePath = null;
+    }
     var fullPath = normalizePath(this.path, basePath) || '/';
 
-    anchors = anchors || [];
+    // Previously, the second parameter was a list of used anchors.
+    if (Array.isArray(htmlOptions)) {
+      htmlOptions = { anchors: htmlOptions };
+    }
+    htmlOptions = htmlOptions || {};
+    var isRoot = !htmlOptions.anchors;
+    var anchors = htmlOptions.anchors || [];
+    var interactive = htmlOptions.interactive;
+
+    // Share used anchors (and headings) with children.
+    var childOptions = {
+      interactive: interactive,
+      anchors: anchors,
+      sections: htmlOptions.sections
+    };
+
     function getAnchor (title) {
       var anchor = String(title).toLowerCase()
         .replace(/[\s\-]+/g, ' ')
@@ -425,167 +882,393 @@ API.prototype = {
       return anchor;
     }
 
+    // Optionally list all headings, e.g. for a table of contents.
+    var sections = htmlOptions.sections || [];
+    function getHeading (level, title, method) {
+      var id = getAnchor(title);
+      sections.push({ level: level, id: id, title: title, method: method });
+      return '<h' + level + ' id="' + id + '">' + escapeMarkup(title) +
+        '</h' + level + '>\n';
+    }
+
+    // Escape text, but keep line breaks and `code` from Markdown.
+    function formatText (text) {
+      return escapeMarkup(text)
+        .replace(/\*\*([^*]*)\*\*/g, '<strong>$1</strong>')
+        .replace(/`([^`]*)`/g, '<code>$1</code>')
+        .replace(/\n/g, '<br>');
+    }
+
     var html = '';
     if (this.title) {
-      html +=
-        '<h1 id="' + getAnchor(this.title) + '">' + this.title + '</h1>\n';
+      html += getHeading(1, this.title);
     }
     if (this.description) {
-      html += '<p>' + this.description.replace(/\n/g, '<br>') + '</p>\n';
+      html += '<p>' + escapeMarkup(this.description).replace(/\n/g, '<br>') +
+        '</p>\n';
+    }
+
+    var previous = this.previousVersion;
+    var changes = previous ? getVersionChanges(previous, this) : [];
+    if (changes.length > 0) {
+      html += getHeading(2, 'Changes since ' + previous.versionName) +
+        '<ul>\n';
+      changes.forEach(function (change) {
+        html += '<li>' + formatText(describeVersionChange(change)) + '</li>\n';
+      });
+      html += '</ul>\n';
     }
 
     // Export own request handlers.
     for (var method in this.handlers) {
       var handler = this.handlers[method];
-      var title = handler.title || '(no title)';
-      html += '<h2 id="' + getAnchor(title) + '">' + title + '</h2>\n';
-      html += '<pre>' + method.toUpperCase() + ' ' + fullPath + '</pre>\n';
+      html += getHeading(2, handler.title || '(no title)', method);
+      html += '<pre>' + getMethodBadge(method) + ' ' + escapeMarkup(fullPath) +
+        '</pre>\n';
+      var deprecation = getDeprecation(handler);
+      if (deprecation) {
+        html += '<p>' + formatText(describeDeprecation(deprecation)) +
+          '</p>\n';
+      }
       if (handler.description) {
-        html += '<p>' + handler.description.replace(/\n/g, '<br>') + '</p>\n';
+        html += '<p>' + escapeMarkup(handler.description)
+          .replace(/\n/g, '<br>') + '</p>\n';
       }
 
-      if (handler.examples && handler.examples.length > 0) {
-        var example = handler.examples[0];
+      var auth = getAuth(this, handler);
+      if (auth) {
+        html += '<p>Authentication: ' + formatText(describeAuth(auth)) +
+          '</p>\n';
+      }
 
-        var request = example.request || {};
-        if (request.urlParameters || request.headers || request.body) {
-          html += '<h3>Input</h3>\n<pre>';
-          var exampleURL = method.toUpperCase() + ' ' + fullPath;
-          if (request.urlParameters) {
-            exampleURL = replaceUrlParameters(exampleURL,
-              request.urlParameters);
-          }
-          html += exampleURL + '\n';
-          var requestHeaders = request.headers || {};
-          for (var header in requestHeaders) {
-            html += header + ': ' + requestHeaders[header] + '\n';
-          }
-          if (request.body) {
-            html += '\n' + jsonStringifyIfObject(request.body).trim() + '\n';
-          }
-          html += '</pre>\n';
-        }
+      var middlewareNames = getMiddlewareNames(this, handler);
+      if (middlewareNames.length > 0) {
+        html += '<p>Middleware: ' + middlewareNames.map(function (name) {
+          return '<code>' + escapeMarkup(name) + '</code>';
+        }).join(', ') + '</p>\n';
+      }
 
-        var response = example.response || {};
-        var hasResponseStatus = isExplicitExample(response.status);
-        var hasResponseBody = isExplicitExample(response.body);
-        if (hasResponseStatus || response.headers || hasResponseBody) {
-          html += '<h3>Response</h3>\n<pre>';
-          if (hasResponseStatus) {
-            var message = http.STATUS_CODES[response.status];
-            html += 'Status: ' + response.status + ' ' + message + '\n';
-          }
-          var responseHeaders = response.headers || {};
-          for (var header in responseHeaders) {
-            var headerValue = responseHeaders[header];
-            if (isExplicitExample(headerValue)) {
-              html += header + ': ' + headerValue + '\n';
-            }
-          }
-          if (hasResponseBody) {
-            if (hasResponseStatus || Object.keys(responseHeaders).length > 0) {
-              html += '\n';
-            }
-            html += jsonStringifyIfObject(response.body).trim() + '\n';
+      var parameterRows = getDocumentedParameterRows(handler, fullPath);
+      if (parameterRows.length > 0) {
+        html += '<h3>Parameters</h3>\n<table>\n';
+        html += '<tr><th>Name</th><th>In</th><th>Type</th><th>Required</th>' +
+          '<th>Description</th></tr>\n';
+        parameterRows.forEach(function (row) {
+          html += '<tr><td><code>' + escapeMarkup(row.name) + '</code></td>' +
+            '<td>' + escapeMarkup(row.in) + '</td><td>' +
+            escapeMarkup(row.type) + '</td><td>' +
+            (row.required ? 'yes' : 'no') + '</td><td>' +
+            escapeMarkup(row.description) + '</td></tr>\n';
+        });
+        html += '</table>\n';
+      }
+
+      var statusCodeRows = getStatusCodeRows(handler);
+      if (statusCodeRows.length > 0) {
+        html += '<h3>Status codes</h3>\n<table>\n';
+        html += '<tr><th>Status</th><th>Description</th></tr>\n';
+        statusCodeRows.forEach(function (row) {
+          html += '<tr><td>' + row.status + '</td><td>' +
+            escapeMarkup(row.description) + '</td></tr>\n';
+        });
+        html += '</table>\n';
+      }
+
+      // A single example without a title keeps short headings.
+      var examples = handler.examples || [];
+      var isSingleExample = examples.length === 1 && !examples[0].title &&
+        !examples[0].description;
+      examples.forEach(function (example, index) {
+        var messages = getExampleMessages(method, fullPath, example);
+        var heading = 'h3';
+        if (!isSingleExample) {
+          html += '<h3>Example' + (example.title
+            ? ': ' + escapeMarkup(example.title)
+            : ' ' + (index + 1)) + '</h3>\n';
+          if (example.description) {
+            html += '<p>' + escapeMarkup(example.description)
+              .replace(/\n/g, '<br>') + '</p>\n';
           }
-          html += '</pre>\n';
+          heading = 'h4';
+        }
+        if (messages.request) {
+          html += '<' + heading + '>Input</' + heading + '>\n<pre>' +
+            escapeMarkup(messages.request) + '</pre>\n';
+        }
+        if (messages.response) {
+          html += '<' + heading + '>Response</' + heading + '>\n<pre>' +
+            escapeMarkup(messages.response) + '</pre>\n';
         }
-        // TODO Document all unique possible status codes?
-        // TODO Document all request parameters?
+      });
+
+      if (interactive) {
+        html += getTryItForm(method, fullPath, handler, interactive);
       }
     }
 
     // Export children's request handlers recursively.
     for (var path in this.children) {
       var child = this.children[path];
-      html += child.toHTML(fullPath, anchors);
+      html += child.toHTML(fullPath, childOptions);
+    }
+
+    // Interactive forms send their requests with a small script.
+    if (interactive && isRoot) {
+      html += '<script>\n' + tryItScript + '\n</script>\n';
     }
 
     return html;
   },
 
-  // Export API documentation as Markdown.
-  toMarkdown: function (basePath) {
+  // Export API documentation as a complete HTML page, with a table of contents
+  // and embedded CSS. A custom `template` can be a function, or a string with
+  // '{{title}}', '{{style}}', '{{toc}}' and '{{content}}' placeholders. Use
+  // `interactive` to add "Try it" forms (like for `toHTML()`).
+  toHTMLPage: function (basePath, pageOptions) {
+    if (basePath && typeof basePath === 'object') {
+      pageOptions = basePath;
+      basePath = null;
+    }
+    pageOptions = pageOptions || {};
+
+    var sections = [];
+    var page = {
+      title: escapeMarkup(this.title || 'API'),
+      style: htmlPageStyle,
+      content: this.toHTML(basePath, {
+        interactive: pageOptions.interactive,
+        sections: sections
+      })
+    };
+    page.toc = getTableOfContents(sections);
+
+    var template = pageOptions.template || htmlPageTemplate;
+    if (typeof template === 'function') {
+      return template(page);
+    }
+    return substituteVariables(String(template), page);
+  },
+
+  // Export API documentation as Markdown, starting with a table of contents
+  // (unless `{ toc: false }`).
+  toMarkdown: function (basePath, markdownOptions) {
+    if (basePath && typeof basePath === 'object') {
+      markdownOptions = basePath;
+      basePath = null;
+    }
     var fullPath = normalizePath(this.path, basePath) || '/';
+    markdownOptions = markdownOptions || {};
 
-    var markdown = '';
+    // Share used anchors and headings with children.
+    var isRoot = !markdownOptions.sections;
+    var sections = markdownOptions.sections || [];
+    var anchors = markdownOptions.anchors || [];
+    var childOptions = { sections: sections, anchors: anchors };
+
+    // Like GitHub, link to headings by their lowercase text, without
+    // punctuation and with dashes instead of spaces (e.g. '#add-an-item').
+    function getHeading (level, title, method) {
+      var anchor = String(title).toLowerCase().trim()
+        .replace(/[^\w\- ]/g, '')
+        .replace(/ /g, '-');
+      var id = anchor;
+      for (var i = 1; anchors.indexOf(id) > -1; i++) {
+        id = anchor + '-' + i;
+      }
+      anchors.push(id);
+      sections.push({ level: level, id: id, title: title, method: method });
+      return new Array(level + 1).join('#') + ' ' + title + '\n\n';
+    }
+
+    var intro = '';
     if (this.title) {
-      markdown += '# ' + this.title + '\n\n';
+      intro += getHeading(1, this.title);
     }
     if (this.description) {
-      markdown += this.description + '\n\n';
+      intro += this.description + '\n\n';
+    }
+    // The table of contents goes after the intro of the documented resource.
+    var sectionsBefore = sections.length;
+
+    var markdown = '';
+    var previous = this.previousVersion;
+    var changes = previous ? getVersionChanges(previous, this) : [];
+    if (changes.length > 0) {
+      markdown += getHeading(2, 'Changes since ' + previous.versionName);
+      changes.forEach(function (change) {
+        markdown += '- ' + describeVersionChange(change) + '\n';
+      });
+      markdown += '\n';
     }
 
     // Export own request handlers.
     for (var method in this.handlers) {
       var handler = this.handlers[method];
-      markdown += '## ' + (handler.title || '(no title)') + '\n\n';
+      markdown += getHeading(2, handler.title || '(no title)', method);
       markdown += '    ' + method.toUpperCase() + ' ' + fullPath + '\n\n';
+      var deprecation = getDeprecation(handler);
+      if (deprecation) {
+        markdown += describeDeprecation(deprecation) + '\n\n';
+      }
       if (handler.description) {
         markdown += handler.description + '\n\n';
       }
 
-      if (handler.examples && handler.examples.length > 0) {
-        var example = handler.examples[0];
+      var auth = getAuth(this, handler);
+      if (auth) {
+        markdown += 'Authentication: ' + describeAuth(auth) + '\n\n';
+      }
 
-        var request = example.request || {};
-        if (request.urlParameters || request.headers || request.body) {
-          markdown += '### Example input:\n\n';
-          var exampleURL = '    ' + method.toUpperCase() + ' ' + fullPath;
-          if (request.urlParameters) {
-            exampleURL = replaceUrlParameters(exampleURL,
-              request.urlParameters);
-          }
-          markdown += exampleURL + '\n';
-          var requestHeaders = request.headers || {};
-          for (var header in requestHeaders) {
-            markdown += '    ' + header + ': ' + requestHeaders[header] + '\n';
-          }
-          if (request.body) {
-            var requestBody = '    ' + jsonStringifyIfObject(request.body)
-              .trim().replace(/\n/g, '\n    ');
-            markdown += '    \n' + requestBody + '\n';
-          }
-          markdown += '\n';
-        }
+      var middlewareNames = getMiddlewareNames(this, handler);
+      if (middlewareNames.length > 0) {
+        markdown += 'Middleware: ' + middlewareNames.map(function (name) {
+          return '`' + name + '`';
+        }).join(', ') + '\n\n';
+      }
 
-        var response = example.response || {};
-        var hasResponseStatus = isExplicitExample(response.status);
-        var hasResponseBody = isExplicitExample(response.body);
-        if (hasResponseStatus || response.headers || hasResponseBody) {
-          markdown += '### Example response:\n\n';
-          if (hasResponseStatus) {
-            var message = http.STATUS_CODES[response.status];
-            markdown += '    Status: ' + response.status + ' ' + message + '\n';
-          }
-          var responseHeaders = response.headers || {};
-          for (var header in responseHeaders) {
-            var value = responseHeaders[header];
-            if (isExplicitExample(value)) {
-              markdown += '    ' + header + ': ' + value + '\n';
-            }
-          }
-          if (hasResponseBody) {
-            if (hasResponseStatus || Object.keys(responseHeaders).length > 0) {
-              markdown += '    \n';
-            }
-            markdown += '    ' + jsonStringifyIfObject(response.body).trim()
-              .replace(/\n/g, '\n    ') + '\n';
+      var parameterRows = getDocumentedParameterRows(handler, fullPath);
+      if (parameterRows.length > 0) {
+        markdown += '### Parameters:\n\n';
+        markdown += '| Name | In | Type | Required | Description |\n';
+        markdown += '| --- | --- | --- | --- | --- |\n';
+        parameterRows.forEach(function (row) {
+          markdown += '| `' + row.name + '` | ' + row.in + ' | ' + row.type +
+            ' | ' + (row.required ? 'yes' : 'no') + ' | ' +
+            row.description.replace(/\n/g, ' ') + ' |\n';
+        });
+        markdown += '\n';
+      }
+
+      var statusCodeRows = getStatusCodeRows(handler);
+      if (statusCodeRows.length > 0) {
+        markdown += '### Status codes:\n\n';
+        markdown += '| Status | Description |\n';
+        markdown += '| --- | --- |\n';
+        statusCodeRows.forEach(function (row) {
+          markdown += '| ' + row.status + ' | ' +
+            row.description.replace(/\n/g, ' ') + ' |\n';
+        });
+        markdown += '\n';
+      }
+
+      // A single example without a title keeps short headings.
+      var examples = handler.examples || [];
+      var isSingleExample = examples.length === 1 && !examples[0].title &&
+        !examples[0].description;
+      examples.forEach(function (example, index) {
+        var messages = getExampleMessages(method, fullPath, example);
+        var prefix = '### Example ';
+        if (!isSingleExample) {
+          markdown += '### Example' +
+            (example.title ? ': ' + example.title : ' ' + (index + 1)) +
+            '\n\n';
+          if (example.description) {
+            markdown += example.description + '\n\n';
           }
-          markdown += '\n';
+          prefix = '#### ';
         }
-        // TODO Document all unique possible status codes?
-        // TODO Document all request parameters?
-      }
+        if (messages.request) {
+          markdown += prefix + (isSingleExample ? 'input' : 'Input') +
+            ':\n\n' + indentCode(messages.request) + '\n';
+        }
+        if (messages.response) {
+          markdown += prefix + (isSingleExample ? 'response' : 'Response') +
+            ':\n\n' + indentCode(messages.response) + '\n';
+        }
+      });
     }
 
     // Export children's request handlers recursively.
     for (var path in this.children) {
       var child = this.children[path];
-      markdown += child.toMarkdown(fullPath);
+      markdown += child.toMarkdown(fullPath, childOptions);
+    }
+
+    if (!isRoot || markdownOptions.toc === false) {
+      return intro + markdown;
+    }
+    var toc = getMarkdownTableOfContents(sections.slice(sectionsBefore));
+    return intro + (toc ? toc + '\n' : '') + markdown;
+  },
+
+  // Mount a mock version of this API resource tree on a server app (or plain
+  // Node.js server), which responds to requests with the matching examples.
+  mock: function (app, basePath) {
+    var exporter = getHandlerExporter(app);
+    if (!exporter) {
+      throw new Error('Unsupported server app for mocking: ' + app);
+    }
+
+    // Mount automatic handlers last, so that they don't shadow handlers that
+    // were added after them (express-like apps try routes in order).
+    var automaticHandlers = [];
+    forEachHandler(this, basePath, function (resource, method, handler, path) {
+      if (handler.automatic) {
+        automaticHandlers.push([ method, path, handler ]);
+        return;
+      }
+      exportMockHandler(method, path, handler);
+    });
+    automaticHandlers.forEach(function (automaticHandler) {
+      exportMockHandler.apply(null, automaticHandler);
+    });
+
+    function exportMockHandler (method, path, handler) {
+      exporter(method, path, {
+        handler: getMockHandler(handler),
+        deprecated: handler.deprecated
+      });
     }
 
-    return markdown;
+    return app;
+  },
+
+  // Create a Node.js server that responds to requests with matching examples.
+  toMockServer: function (basePath) {
+    return this.mock(http.createServer(), basePath);
+  },
+
+  // Export API documentation as an OpenAPI 3 document.
+  toOpenAPI: function (basePath) {
+    var document = {
+      openapi: '3.0.3',
+      info: {
+        title: this.title || 'API',
+        version: '1.0.0'
+      },
+      paths: {}
+    };
+    if (this.description) {
+      document.info.description = this.description;
+    }
+
+    forEachHandler(this, basePath, function (resource, method, handler, path) {
+      // OpenAPI has no operations for all methods.
+      if (method === 'all') {
+        return;
+      }
+      var openAPIPath = toOpenAPIPath(path);
+      var pathItem = document.paths[openAPIPath] || {};
+      document.paths[openAPIPath] = pathItem;
+      var operation = getOpenAPIOperation(resource, method, handler, path);
+      pathItem[method] = operation;
+
+      // Declare the required authentication as a security scheme.
+      var auth = getAuth(resource, handler);
+      if (auth) {
+        var security = getOpenAPISecurityScheme(auth);
+        document.components = document.components || { securitySchemes: {} };
+        var securitySchemes = document.components.securitySchemes;
+        if (!securitySchemes[security.name]) {
+          securitySchemes[security.name] = security.scheme;
+        }
+        var requirement = {};
+        requirement[security.name] = [];
+        operation.security = [ requirement ];
+      }
+    });
+
+    return document;
   }
 };
 
@@ -604,64 +1287,3654 @@ function normalizePath (path, basePath) {
   return (normalized !== '/' ? normalized : null);
 }
 
-// Detect if `app` is an express-like server.
+// Server framework adapters, in order of precedence. Each adapter can
+// `detect(app)` a supported server app, and `exportHandler(app, method, path,
+// handler, parameters)` to it, where `handler` is a Node.js-style
+// `function (request, response, next)`. Adapters may also `removeHandler(app,
+// method, path, parameters)`.
+var adapters = [];
+
+// Register an adapter for a server framework (it takes precedence over all
+// previously registered adapters).
+function registerAdapter (adapter) {
+  if (!adapter || typeof adapter.detect !== 'function' ||
+      typeof adapter.exportHandler !== 'function') {
+    throw new Error('Adapters should have "detect" and "exportHandler" ' +
+      'functions');
+  }
+  adapters.unshift(adapter);
+}
+
+// Get the adapter for a given server app, or `null` if it's not supported.
+function getAdapter (app) {
+  if (!app) {
+    return null;
+  }
+  for (var i = 0; i < adapters.length; i++) {
+    if (adapters[i].detect(app)) {
+      return adapters[i];
+    }
+  }
+  return null;
+}
+
+// Detect if `app` is a supported server app.
 function isServerApp (app) {
-  return !!(app && (app.use || app.handle) && app.get && app.post);
+  return getAdapter(app) !== null;
 }
 
 // Try to create a handler exporter function for a given server app.
 function getHandlerExporter (app) {
-  if (!isServerApp(app)) {
+  var adapter = getAdapter(app);
+  if (!adapter) {
     return null;
   }
 
-  // `app` is an express-like server app.
+  return function (method, path, parameters, resource) {
+    adapter.exportHandler(app, method, path,
+      getRequestHandler(parameters, resource), parameters);
+  };
+}
+
+// Create a function that unregisters request handlers from a given server app,
+// if its adapter supports it (exported handlers step aside by themselves once
+// they are removed, replaced or moved).
+function getHandlerRemover (app) {
+  var adapter = getAdapter(app);
   return function (method, path, parameters) {
+    if (adapter && typeof adapter.removeHandler === 'function') {
+      adapter.removeHandler(app, method, path, parameters);
+    }
+  };
+}
+
+// Adapter for express-like server apps (e.g. express, restify, scout camp).
+var expressAdapter = {
+  detect: function (app) {
+    return !(app instanceof API) &&
+      !!((app.use || app.handle) && app.get && app.post);
+  },
+  exportHandler: function (app, method, path, handler) {
     // Support restify.
     if (method === 'del' && ('delete' in app)) {
       method = 'delete';
     }
-    app[method](path, parameters.handler);
+    if (method === 'options' && !app.options && app.opts) {
+      method = 'opts';
+    }
+    app[method](path, handler);
+  }
+};
+
+// Adapter for Koa routers (i.e. koa-router or @koa/router).
+var koaRouterAdapter = {
+  detect: function (router) {
+    return typeof router.routes === 'function' &&
+      typeof router.allowedMethods === 'function' &&
+      typeof router.get === 'function';
+  },
+  exportHandler: function (router, method, path, handler) {
+    // Koa routers need named wildcards (e.g. '/files/(.*)').
+    path = String(path).replace(/\*/g, '(.*)');
+    router[method](path, function (context, next) {
+      var request = context.req;
+      request.params = context.params;
+      request.query = context.query;
+      if (context.request.body !== undefined) {
+        request.body = context.request.body;
+      }
+
+      // Let the handler respond directly, unless it calls `next()`. Koa
+      // defaults to a 404 status until something sets a response body.
+      context.respond = false;
+      context.status = 200;
+      return new Promise(function (resolve, reject) {
+        context.res.on('finish', resolve);
+        handler(request, context.res, function (error) {
+          context.respond = true;
+          context.status = 404;
+          if (error) {
+            reject(error);
+            return;
+          }
+          resolve(next());
+        });
+      });
+    });
+  }
+};
+
+// Request handlers of Fastify apps by path and method (e.g. `{ '/api': { get:
+// handler } }`), by app.
+var fastifyRoutes = new WeakMap();
+
+// Adapter for Fastify server apps.
+var fastifyAdapter = {
+  detect: function (app) {
+    return typeof app.route === 'function' &&
+      typeof app.register === 'function' &&
+      typeof app.inject === 'function';
+  },
+  exportHandler: function (app, method, path, handler) {
+    // Fastify doesn't allow routes to be declared twice (not even for 'all' and
+    // a specific method), so declare a single route for all methods of each
+    // path, and dispatch requests to its handlers.
+    var routes = fastifyRoutes.get(app) || {};
+    fastifyRoutes.set(app, routes);
+    if (routes[path]) {
+      routes[path][method] = handler;
+      return;
+    }
+    var handlers = routes[path] = {};
+    handlers[method] = handler;
+
+    app.route({
+      method: [ 'DELETE', 'GET', 'HEAD', 'PATCH', 'POST', 'PUT', 'OPTIONS' ],
+      url: path,
+      // Let HEAD requests reach the handlers below.
+      exposeHeadRoute: false,
+      handler: function (request, reply) {
+        var raw = request.raw;
+        raw.params = {};
+        for (var name in request.params) {
+          // Fastify names wildcards '*', but express names them '0'.
+          raw.params[name === '*' ? '0' : name] = request.params[name];
+        }
+        raw.query = request.query;
+        if (request.body !== undefined) {
+          raw.body = request.body;
+        }
+
+        // Try handlers for the request method (or GET for HEAD requests),
+        // then handlers for all methods, like express would.
+        var method = raw.method.toLowerCase();
+        var candidates = [ handlers[method] ];
+        if (method === 'head') {
+          candidates.push(handlers['get']);
+        }
+        candidates.push(handlers['all']);
+        candidates = candidates.filter(Boolean);
+
+        // Let the handlers respond directly (Fastify has no `next()`).
+        if (typeof reply.hijack === 'function') {
+          reply.hijack();
+        } else {
+          reply.sent = true;
+        }
+        // Hijacked replies bypass Fastify's error handler, so at least log
+        // errors like it would.
+        function next (error) {
+          if (error) {
+            if (request.log) {
+              request.log.error(error);
+            }
+            reply.raw.statusCode = 500;
+            reply.raw.end();
+            return;
+          }
+          var candidate = candidates.shift();
+          if (!candidate) {
+            reply.raw.statusCode = 404;
+            reply.raw.end();
+            return;
+          }
+          candidate(raw, reply.raw, next);
+        }
+        next();
+      }
+    });
+  },
+  removeHandler: function (app, method, path) {
+    var routes = fastifyRoutes.get(app) || {};
+    if (routes[path]) {
+      delete routes[path][method];
+    }
+  }
+};
+
+// Routers of plain Node.js servers, by server.
+var serverRouters = new WeakMap();
+
+// Adapter for plain Node.js servers (e.g. `http.createServer()`), which routes
+// requests with a minimal built-in router.
+var nodeServerAdapter = {
+  detect: function (server) {
+    return server instanceof http.Server || server instanceof https.Server;
+  },
+  exportHandler: function (server, method, path, handler) {
+    var router = serverRouters.get(server);
+    if (!router) {
+      router = new Router();
+      serverRouters.set(server, router);
+      server.on('request', router.handle.bind(router));
+    }
+    router.add(method, path, handler);
+  },
+  removeHandler: function (server, method, path) {
+    var router = serverRouters.get(server);
+    if (router) {
+      router.remove(method, path);
+    }
+  }
+};
+
+registerAdapter(nodeServerAdapter);
+registerAdapter(expressAdapter);
+registerAdapter(fastifyAdapter);
+registerAdapter(koaRouterAdapter);
+
+// List the methods allowed by an API resource (e.g. `[ 'GET', 'HEAD' ]`).
+function getAllowedMethods (api) {
+  var allowed = [];
+  API.prototype.methods.forEach(function (method) {
+    var handler = api.handlers[method];
+    if (!handler || (method === 'all' && handler.automatic)) {
+      return;
+    }
+    allowed.push(method.toUpperCase());
+    if (method === 'get' && !api.handlers['head']) {
+      allowed.push('HEAD');
+    }
+  });
+  return allowed;
+}
+
+// List the methods allowed for a URL path by an API resource, and by all other
+// resources of its API tree whose paths match it too (e.g. '/:id' and '/items'
+// both match '/items').
+function getAllowedMethodsForPath (api, pathname) {
+  var allowed = getAllowedMethods(api);
+  var root = api;
+  while (root.parent instanceof API) {
+    root = root.parent;
+  }
+  forEachResource(root, null, function (resource, path) {
+    if (resource === api || !compileRoutePath(path).regex.test(pathname)) {
+      return;
+    }
+    getAllowedMethods(resource).forEach(function (method) {
+      if (allowed.indexOf(method) < 0) {
+        allowed.push(method);
+      }
+    });
+  });
+
+  // List methods in the same order, whichever resource answers.
+  var order = [ 'GET', 'HEAD', 'POST', 'PATCH', 'PUT', 'DELETE', 'OPTIONS',
+    'ALL' ];
+  return allowed.sort(function (a, b) {
+    return order.indexOf(a) - order.indexOf(b);
+  });
+}
+
+// List the methods allowed for a request's URL (see above).
+function getAllowedMethodsForRequest (api, request) {
+  return getAllowedMethodsForPath(api,
+    url.parse(String(request.url)).pathname);
+}
+
+// List the methods allowed for the URL of an automatic handler example.
+function getAllowedMethodsForExample (api, request) {
+  var path = null;
+  for (var resource = api; resource instanceof API;
+    resource = resource.parent) {
+    path = normalizePath(path, resource.path);
+  }
+  return getAllowedMethodsForPath(api, replaceUrlParameters(path || '/',
+    request.urlParameters || {}));
+}
+
+// Determine if an API resource has its own handler for all methods.
+function hasOwnAllHandler (api) {
+  var handler = api.handlers['all'];
+  return Boolean(handler && !handler.automatic);
+}
+
+// Get an example request for automatic handlers, with the URL parameters of
+// other examples of the same API resource (if any).
+function getAutomaticExampleRequest (api) {
+  var request = {};
+  for (var method in api.handlers) {
+    var handler = api.handlers[method];
+    if (handler.automatic) {
+      continue;
+    }
+    (handler.examples || []).some(function (example) {
+      if (example.request && example.request.urlParameters) {
+        request.urlParameters = example.request.urlParameters;
+        return true;
+      }
+      return false;
+    });
+    if (request.urlParameters) {
+      break;
+    }
+  }
+  return request;
+}
+
+// Create handler parameters that answer OPTIONS requests with the methods
+// allowed by an API resource.
+function getOptionsHandler (api) {
+  var parameters = {
+    title: 'List allowed methods',
+    description: 'List the methods supported by this resource in an `Allow` ' +
+      'header.',
+    automatic: true,
+    handler: function (request, response, next) {
+      // Let other handlers respond if this one was replaced.
+      if (api.handlers['options'] !== parameters || hasOwnAllHandler(api)) {
+        next();
+        return;
+      }
+      var allowed = getAllowedMethodsForRequest(api, request);
+      if (allowed.indexOf('ALL') > -1) {
+        next();
+        return;
+      }
+      response.statusCode = 204;
+      response.setHeader('Allow', allowed.join(', '));
+      response.end();
+    },
+    get examples () {
+      if (hasOwnAllHandler(api)) {
+        return [];
+      }
+      var request = getAutomaticExampleRequest(api);
+      return [{
+        request: request,
+        response: {
+          status: 204,
+          headers: {
+            Allow: getAllowedMethodsForExample(api, request).join(', ')
+          }
+        }
+      }];
+    }
   };
+  return parameters;
 }
 
-// Stringify Objects, leave non-Objects untouched (e.g. Strings).
-function jsonStringifyIfObject (value) {
-  if (!(value instanceof Object)) {
-    return value;
+// Create handler parameters that answer requests with methods not allowed by
+// an API resource with "405 Method Not Allowed".
+function getMethodNotAllowedHandler (api) {
+  var parameters = {
+    title: 'Reject unsupported methods',
+    description: 'Respond with "405 Method Not Allowed" to requests with ' +
+      'methods that this resource doesn\'t support.',
+    automatic: true,
+    handler: function (request, response, next) {
+      // Let other routes respond to methods they allow for the same URL (e.g.
+      // 'POST /items' next to 'GET /:id').
+      var allowed = getAllowedMethodsForRequest(api, request);
+      if (api.handlers['all'] !== parameters || allowed.indexOf('ALL') > -1 ||
+          allowed.indexOf(String(request.method).toUpperCase()) > -1) {
+        next();
+        return;
+      }
+      response.statusCode = 405;
+      response.setHeader('Allow', allowed.join(', '));
+      response.end();
+    },
+    get examples () {
+      var request = getAutomaticExampleRequest(api);
+      var allowed = getAllowedMethodsForExample(api, request);
+      var method = [ 'DELETE', 'PUT', 'PATCH', 'POST', 'GET' ].filter(
+        function (method) {
+          return allowed.indexOf(method) < 0;
+        })[0];
+      if (!method || allowed.indexOf('ALL') > -1) {
+        return [];
+      }
+      request.method = method.toLowerCase();
+      return [{
+        request: request,
+        response: {
+          status: 405,
+          headers: { Allow: allowed.join(', ') }
+        }
+      }];
+    }
+  };
+  return parameters;
+}
+
+// Get the function that should handle requests for given handler parameters
+// (optionally behind the middleware of an API resource and its parents).
+function getRequestHandler (parameters, resource) {
+  var handlers = [].concat(parameters.handler).map(getNodeStyleHandler);
+  var handler = (handlers.length === 1
+    ? handlers[0]
+    : getChainHandler(handlers));
+  if (parameters.parameters) {
+    handler = getValidatingHandler(parameters.parameters, handler);
   }
-  return JSON.stringify(value, options.jsonStringifyReplacer,
-    options.jsonStringifySpaces);
+  if (parameters.deprecated) {
+    handler = getDeprecatedHandler(getDeprecation(parameters), handler);
+  }
+  if (!resource) {
+    return handler;
+  }
+
+  // Look up middleware on each request, as it may be added at any time.
+  var target = getExportTarget(resource);
+  return function (request, response, next) {
+    // Step aside if this handler was removed, replaced or moved since.
+    if (!isHandlerExported(resource, parameters, target)) {
+      if (typeof next === 'function') {
+        next();
+        return;
+      }
+      response.statusCode = 404;
+      response.end(http.STATUS_CODES[404]);
+      return;
+    }
+
+    var middleware = getMiddleware(resource);
+    if (middleware.length === 0) {
+      return handler.apply(this, arguments);
+    }
+    var chain = middleware.map(getNodeStyleHandler).concat(handler);
+    return getChainHandler(chain).apply(this, arguments);
+  };
 }
 
-// Replace URL parameters like ':param' or '*' with the provided example values.
-function replaceUrlParameters (url, urlParameters) {
-  var replacedUrl = url;
-  for (var urlParameter in urlParameters) {
-    var regex = (urlParameter === '*'
-      ? new RegExp('\\*') // The first occurrence of the literal character '*'.
-      : new RegExp(':' + urlParameter, 'g')); // All occurrences of `:param`.
-    var urlValue = urlParameters[urlParameter];
-    replacedUrl = replacedUrl.replace(regex, urlValue);
+// Copy an API resource tree (e.g. for a new API version). Request handler
+// parameters are copied too, so that they can be changed independently.
+function cloneAPI (api) {
+  var clone = new API({
+    path: api.path,
+    title: api.title,
+    description: api.description,
+    beforeEachTest: api.beforeEachTest,
+    afterEachTest: api.afterEachTest,
+    concurrentTests: api.concurrentTests,
+    testTimeout: api.testTimeout,
+    auth: api.auth
+  });
+  clone.middleware = api.middleware.slice();
+
+  var hasAutomaticHandlers = false;
+  for (var method in api.handlers) {
+    var parameters = api.handlers[method];
+    // Automatic handlers are specific to their API resource.
+    if (parameters.automatic) {
+      hasAutomaticHandlers = true;
+      continue;
+    }
+    var copy = {};
+    for (var key in parameters) {
+      copy[key] = parameters[key];
+    }
+    if (Array.isArray(copy.examples)) {
+      copy.examples = copy.examples.slice();
+    }
+    clone.handlers[method] = copy;
   }
-  return replacedUrl;
+  if (hasAutomaticHandlers) {
+    clone.addAutomaticHandlers();
+  }
+
+  for (var path in api.children) {
+    cloneAPI(api.children[path]).parent = clone;
+  }
+  return clone;
 }
 
-// Stringify everything, including Function bodies.
-function jsonStringifyWithFunctions (value) {
-  function replacer (key, value) {
-    if (typeof value === 'function') {
-      // Stringify this function, and slightly minify it.
-      value = String(value).replace(/\s+/g, ' ');
+// List all request handlers of an API tree by method and path relative to its
+// root (e.g. 'GET /items/:id').
+function getRelativeHandlers (api) {
+  var handlers = {};
+  (function collectHandlers (resource, path) {
+    for (var method in resource.handlers) {
+      handlers[method.toUpperCase() + ' ' + (path || '/')] =
+        resource.handlers[method];
     }
-    return options.jsonStringifyReplacer(key, value);
+    for (var childPath in resource.children) {
+      collectHandlers(resource.children[childPath],
+        normalizePath(childPath, path));
+    }
+  })(api, null);
+  return handlers;
+}
+
+// List the request handlers that were added, removed or changed between two
+// versions of an API.
+function getVersionChanges (previous, current) {
+  var previousHandlers = getRelativeHandlers(previous);
+  var currentHandlers = getRelativeHandlers(current);
+  var changes = [];
+
+  function addChange (change, route, parameters) {
+    var separator = route.indexOf(' ');
+    changes.push({
+      change: change,
+      method: route.slice(0, separator),
+      path: route.slice(separator + 1),
+      title: parameters.title || null
+    });
   }
-  return JSON.stringify(value, replacer, options.jsonStringifySpaces);
+
+  for (var route in currentHandlers) {
+    var parameters = currentHandlers[route];
+    if (!(route in previousHandlers)) {
+      addChange('added', route, parameters);
+    } else if (!isSameHandler(previousHandlers[route], parameters)) {
+      addChange('changed', route, parameters);
+    }
+  }
+  for (route in previousHandlers) {
+    if (!(route in currentHandlers)) {
+      addChange('removed', route, previousHandlers[route]);
+    }
+  }
+  return changes;
 }
 
-// Determine if an example value is defined, but not a function.
-function isExplicitExample (value) {
-  return !!value && typeof value !== 'function';
+// Determine if two request handler parameters are equivalent.
+function isSameHandler (a, b) {
+  function describe (parameters) {
+    return jsonStringifyWithFunctions({
+      title: parameters.title,
+      description: parameters.description,
+      handler: parameters.handler,
+      parameters: parameters.parameters,
+      responses: parameters.responses,
+      examples: parameters.examples
+    }, 0);
+  }
+  return a === b || describe(a) === describe(b);
+}
+
+// Describe an API version change in one line of Markdown.
+function describeVersionChange (change) {
+  var description = change.change.charAt(0).toUpperCase() +
+    change.change.slice(1) + ' `' + change.method + ' ' + change.path + '`';
+  if (change.title) {
+    description += ': ' + change.title;
+  }
+  return description;
+}
+
+// Get where an API resource's request handlers are exported, i.e. the root
+// parent (that exports handlers to a server app) and the full resource path.
+function getExportTarget (api) {
+  var path = null;
+  var resource = api;
+  while (resource instanceof API && resource.parent) {
+    path = normalizePath(path, resource.path);
+    if (!(resource.parent instanceof API)) {
+      return { root: resource.parent, path: path };
+    }
+    resource = resource.parent;
+  }
+  return null;
+}
+
+// Determine if request handler parameters are still exported to a given target
+// by an API resource.
+function isHandlerExported (api, parameters, target) {
+  var current = getExportTarget(api);
+  if (!current || !target || current.root !== target.root ||
+      current.path !== target.path) {
+    return false;
+  }
+  return Object.keys(api.handlers).some(function (method) {
+    return api.handlers[method] === parameters;
+  });
+}
+
+// Get a `function (request, response, next)` for a request handler or for
+// middleware (which may be an async function).
+function getNodeStyleHandler (handler) {
+  return isAsyncFunction(handler) ? getAsyncHandler(handler) : handler;
+}
+
+// List the middleware of an API resource and its parents, outermost first.
+function getMiddleware (api) {
+  var middleware = [];
+  var resource = api;
+  while (resource instanceof API) {
+    middleware = resource.middleware.concat(middleware);
+    resource = resource.parent;
+  }
+  return middleware;
+}
+
+// List the names of all middleware that guards a request handler (e.g. for
+// documentation), including other functions before it in a `handler` array.
+function getMiddlewareNames (api, parameters) {
+  var handlers = [].concat(parameters.handler);
+  return getMiddleware(api).concat(handlers.slice(0, -1)).map(
+    function (middleware) {
+      return middleware.name || '(anonymous)';
+    });
+}
+
+// Chain several request handlers, each calling the next one with `next()`.
+function getChainHandler (handlers) {
+  return function (request, response, next) {
+    var self = this;
+    var index = 0;
+    function callNext (error) {
+      if (error || index >= handlers.length) {
+        if (typeof next === 'function') {
+          next(error);
+        } else if (error) {
+          if (!response.headersSent) {
+            response.statusCode = 500;
+          }
+          response.end(http.STATUS_CODES[500]);
+        }
+        return;
+      }
+      var handler = handlers[index++];
+      try {
+        handler.call(self, request, response, callNext);
+      } catch (error) {
+        callNext(error);
+      }
+    }
+    callNext();
+  };
+}
+
+// List declared request parameters (e.g. for documentation), as rows like
+// `{ name: 'id', in: 'URL', type: 'integer', required: true }`.
+function getParameterRows (declarations) {
+  var rows = [];
+  if (!declarations) {
+    return rows;
+  }
+
+  function addRows (location, schema, alwaysRequired) {
+    var properties = schema.properties || {};
+    var required = schema.required || [];
+    for (var name in properties) {
+      rows.push({
+        name: name,
+        in: location,
+        type: getSchemaType(properties[name]),
+        required: alwaysRequired || required.indexOf(name) > -1,
+        description: properties[name].description || ''
+      });
+    }
+  }
+
+  if (declarations.urlParameters) {
+    addRows('URL', declarations.urlParameters, true);
+  }
+  if (declarations.queryParameters) {
+    addRows('query', declarations.queryParameters, false);
+  }
+  if (declarations.headers) {
+    addRows('header', declarations.headers, false);
+  }
+  if (declarations.body) {
+    var body = declarations.body;
+    if (body.properties) {
+      addRows('body', body, false);
+    } else {
+      rows.push({
+        name: '(body)',
+        in: 'body',
+        type: getSchemaType(body),
+        required: true,
+        description: body.description || ''
+      });
+    }
+  }
+
+  return rows;
+}
+
+// List all request parameters of a request handler for documentation, i.e. its
+// declared parameters, plus undeclared URL parameters (like ':param' or '*')
+// and query parameters used in its examples.
+function getDocumentedParameterRows (handler, path) {
+  var rows = getParameterRows(handler.parameters);
+  function isDocumented (location, name) {
+    return rows.some(function (row) {
+      return row.in === location && row.name === name;
+    });
+  }
+
+  var urlRows = [];
+  getUrlParameterNames(path).forEach(function (name) {
+    // Wildcards are named by their index (e.g. '0' for the first '*').
+    name = /^\d+$/.test(name) ? '*' : name;
+    if (!isDocumented('URL', name)) {
+      urlRows.push({
+        name: name,
+        in: 'URL',
+        type: 'string',
+        required: true,
+        description: ''
+      });
+    }
+  });
+  rows = urlRows.concat(rows);
+
+  (handler.examples || []).forEach(function (example) {
+    var queryParameters = (example.request || {}).queryParameters || {};
+    for (var name in queryParameters) {
+      if (!isDocumented('query', name)) {
+        rows.push({
+          name: name,
+          in: 'query',
+          type: 'string',
+          required: false,
+          description: ''
+        });
+      }
+    }
+  });
+
+  return rows;
+}
+
+// Describe the type of a JSON Schema (e.g. 'string (date-time)').
+function getSchemaType (schema) {
+  var type = [].concat(schema.type || 'any').join(' or ');
+  if (schema.format) {
+    type += ' (' + schema.format + ')';
+  }
+  if (schema.enum) {
+    type += ': ' + schema.enum.map(function (option) {
+      return JSON.stringify(option);
+    }).join(', ');
+  }
+  return type;
+}
+
+// Determine if a function is an `async function`.
+function isAsyncFunction (fn) {
+  return Object.prototype.toString.call(fn) === '[object AsyncFunction]';
+}
+
+// Wrap an async request handler in order to forward its rejections to the
+// server app's error handling (e.g. `next(error)` in express).
+function getAsyncHandler (handler) {
+  return function (request, response, next) {
+    return handler.apply(this, arguments).catch(function (error) {
+      if (typeof next === 'function') {
+        next(error);
+        return;
+      }
+      if (!response.headersSent) {
+        response.statusCode = 500;
+      }
+      response.end(http.STATUS_CODES[500]);
+    });
+  };
+}
+
+// Get the deprecation details of a request handler (e.g. `{ since:
+// '2024-01-01', sunset: '2025-01-01', replacement: '/v2/items' }`), or `null`
+// if it's not deprecated.
+function getDeprecation (parameters) {
+  var deprecated = parameters.deprecated;
+  if (!deprecated) {
+    return null;
+  }
+  return (deprecated === true ? {} : deprecated);
+}
+
+// Get the response headers that announce a deprecation, i.e. `Deprecation`
+// (RFC 9745), `Sunset` (RFC 8594) and a `Link` to the replacement.
+function getDeprecationHeaders (deprecation) {
+  var headers = {};
+  var since = deprecation.since ? new Date(deprecation.since) : null;
+  headers['Deprecation'] = (since && !isNaN(since)
+    ? '@' + Math.floor(since.getTime() / 1000)
+    : 'true');
+  var sunset = deprecation.sunset ? new Date(deprecation.sunset) : null;
+  if (sunset && !isNaN(sunset)) {
+    headers['Sunset'] = sunset.toUTCString();
+  }
+  if (deprecation.replacement) {
+    headers['Link'] = '<' + deprecation.replacement +
+      '>; rel="successor-version"';
+  }
+  return headers;
+}
+
+// Wrap a request handler so that its responses announce its deprecation.
+function getDeprecatedHandler (deprecation, handler) {
+  var headers = getDeprecationHeaders(deprecation);
+  return function (request, response, next) {
+    for (var name in headers) {
+      var value = headers[name];
+      var previous = response.getHeader(name);
+      if (name === 'Link' && previous) {
+        value = [].concat(previous).concat(value).join(', ');
+      }
+      response.setHeader(name, value);
+    }
+    return handler.apply(this, arguments);
+  };
+}
+
+// Supported authentication schemes, with their default options.
+var authSchemes = {
+  bearer: { description: 'Bearer token' },
+  basic: { description: 'Basic authentication' },
+  apiKey: { header: 'X-API-Key', description: 'API key' },
+  cookie: { cookie: 'session', description: 'Cookie session' }
+};
+
+// Get the authentication scheme required by a request handler (its own `auth`,
+// or the one of its API resource or their parents), like `{ type: 'apiKey',
+// header: 'X-API-Key' }`, or `null` if none is required.
+function getAuth (api, parameters) {
+  var auth = parameters ? parameters.auth : undefined;
+  var resource = api;
+  while ((auth === undefined || auth === null) && resource instanceof API) {
+    auth = resource.auth;
+    resource = resource.parent;
+  }
+  if (!auth) {
+    return null;
+  }
+
+  checkAuth(auth);
+  if (typeof auth === 'string') {
+    auth = { type: auth };
+  }
+  var scheme = authSchemes[auth.type];
+  var normalized = {};
+  for (var key in scheme) {
+    normalized[key] = scheme[key];
+  }
+  for (key in auth) {
+    normalized[key] = auth[key];
+  }
+  return normalized;
+}
+
+// Check that an `auth` declaration uses a supported authentication scheme (or
+// none), and throw an Error if it doesn't.
+function checkAuth (auth) {
+  if (!auth) {
+    return;
+  }
+  var type = (typeof auth === 'string' ? auth : auth.type);
+  if (!Object.prototype.hasOwnProperty.call(authSchemes, type)) {
+    throw new Error('Unknown authentication scheme: ' + type);
+  }
+}
+
+// Get the name of the request header that carries credentials for a given
+// authentication scheme (e.g. 'Authorization').
+function getAuthHeaderName (auth) {
+  switch (auth.type) {
+    case 'apiKey':
+      return auth.header;
+    case 'cookie':
+      return 'Cookie';
+    default:
+      return 'Authorization';
+  }
+}
+
+// Add credentials from a map like `{ bearer: 'token', basic: { username: 'me',
+// password: 'secret' }, apiKey: 'key', cookie: 'session-id' }` to request
+// headers, unless the headers already carry some.
+function getAuthenticatedHeaders (auth, credentials, headers) {
+  var authenticated = {};
+  var existingHeader = null;
+  var name = getAuthHeaderName(auth);
+  for (var header in headers) {
+    authenticated[header] = headers[header];
+    if (header.toLowerCase() === name.toLowerCase()) {
+      existingHeader = header;
+    }
+  }
+
+  var credential = (credentials || {})[auth.type];
+  if (credential === undefined || credential === null) {
+    return authenticated;
+  }
+  if (auth.type === 'cookie') {
+    var cookies = existingHeader ? String(authenticated[existingHeader]) : '';
+    if (cookies.split(/;\s*/).some(function (cookie) {
+      return cookie.split('=')[0] === auth.cookie;
+    })) {
+      return authenticated;
+    }
+    delete authenticated[existingHeader];
+    authenticated[existingHeader || name] = (cookies ? cookies + '; ' : '') +
+      auth.cookie + '=' + encodeURIComponent(credential);
+    return authenticated;
+  }
+  if (existingHeader) {
+    return authenticated;
+  }
+
+  switch (auth.type) {
+    case 'bearer':
+      authenticated[name] = 'Bearer ' + credential;
+      break;
+    case 'basic':
+      var userPass = (typeof credential === 'object'
+        ? credential.username + ':' + credential.password
+        : String(credential));
+      authenticated[name] = 'Basic ' +
+        Buffer.from(userPass).toString('base64');
+      break;
+    default:
+      authenticated[name] = String(credential);
+  }
+  return authenticated;
+}
+
+// Describe an authentication scheme in one line of Markdown (e.g. 'API key
+// (`X-API-Key` header)').
+function describeAuth (auth) {
+  var description = auth.description;
+  if (auth.type === 'apiKey') {
+    description += ' (`' + auth.header + '` header)';
+  } else if (auth.type === 'cookie') {
+    description += ' (`' + auth.cookie + '` cookie)';
+  }
+  return description;
+}
+
+// Get the "unauthenticated" variant of an example, which is sent without any
+// credentials, and expects to be refused (with a given status, or with "401
+// Unauthorized" or "403 Forbidden").
+function getUnauthenticatedExample (example, auth) {
+  var variant = {};
+  for (var key in example) {
+    // Only the authenticated example is referenced, and captures values.
+    if ([ 'id', 'capture', 'unauthenticated' ].indexOf(key) < 0) {
+      variant[key] = example[key];
+    }
+  }
+  variant.auth = false;
+
+  var request = example.request || {};
+  variant.request = {};
+  for (key in request) {
+    variant.request[key] = request[key];
+  }
+  var name = auth ? getAuthHeaderName(auth).toLowerCase() : null;
+  if (request.headers && name) {
+    variant.request.headers = {};
+    for (var header in request.headers) {
+      var value = request.headers[header];
+      if (header.toLowerCase() !== name) {
+        variant.request.headers[header] = value;
+      } else if (auth.type === 'cookie') {
+        // Only leave out the session cookie.
+        value = String(value).split(/;\s*/).filter(function (cookie) {
+          return cookie.split('=')[0] !== auth.cookie;
+        }).join('; ');
+        if (value) {
+          variant.request.headers[header] = value;
+        }
+      }
+    }
+  }
+
+  var status = example.unauthenticated;
+  variant.response = {
+    status: (typeof status === 'number'
+      ? status
+      : function isUnauthorizedOrForbidden (status) {
+        return status === 401 || status === 403;
+      })
+  };
+  return variant;
+}
+
+// Determine if the sunset date of a deprecated request handler has passed.
+function isPastSunset (parameters, now) {
+  var deprecation = getDeprecation(parameters);
+  if (!deprecation || !deprecation.sunset) {
+    return false;
+  }
+  var sunset = new Date(deprecation.sunset);
+  return !isNaN(sunset) && sunset.getTime() <= (now || Date.now());
+}
+
+// Format a deprecation date for documentation (e.g. '2025-01-01').
+function formatDeprecationDate (date) {
+  if (date instanceof Date) {
+    return date.toISOString().slice(0, 10);
+  }
+  return String(date);
+}
+
+// Describe the deprecation of a request handler in one line of Markdown.
+function describeDeprecation (deprecation) {
+  var description = '**Deprecated**';
+  if (deprecation.since) {
+    description += ' since ' + formatDeprecationDate(deprecation.since);
+  }
+  if (deprecation.sunset) {
+    description += ', and will be removed on ' +
+      formatDeprecationDate(deprecation.sunset);
+  }
+  description += '.';
+  if (deprecation.replacement) {
+    description += ' Use `' + deprecation.replacement + '` instead.';
+  }
+  return description;
+}
+
+// Wrap a request handler in order to reject requests that don't match the
+// declared request parameters, with a "400 Bad Request" listing all errors.
+function getValidatingHandler (declarations, handler) {
+  return function (request, response, next) {
+    var self = this;
+    var args = arguments;
+    var errors = [];
+
+    function validate (location, schema, values) {
+      validateJSONSchema(schema, values, '').forEach(function (error) {
+        error.in = location;
+        errors.push(error);
+      });
+    }
+
+    if (declarations.urlParameters) {
+      var urlParameters = request.params || {};
+      validate('urlParameters', declarations.urlParameters,
+        coerceParameters(declarations.urlParameters, urlParameters));
+    }
+
+    if (declarations.queryParameters) {
+      var queryParameters = request.query;
+      if (!queryParameters || typeof queryParameters !== 'object') {
+        queryParameters = url.parse(request.url, true).query;
+      }
+      validate('queryParameters', declarations.queryParameters,
+        coerceParameters(declarations.queryParameters, queryParameters));
+    }
+
+    if (declarations.headers) {
+      // Header names are case-insensitive, but Node.js lowercases them.
+      var headers = {};
+      var properties = declarations.headers.properties || {};
+      for (var header in request.headers) {
+        headers[header] = request.headers[header];
+      }
+      for (var name in properties) {
+        var value = request.headers[name.toLowerCase()];
+        if (value !== undefined) {
+          headers[name] = value;
+        }
+      }
+      validate('headers', declarations.headers,
+        coerceParameters(declarations.headers, headers));
+    }
+
+    if (!declarations.body) {
+      return respond();
+    }
+
+    getRequestBody(request, function (error, body) {
+      if (error) {
+        errors.push({ in: 'body', pointer: '', message: error.message });
+      } else {
+        validate('body', declarations.body, body);
+      }
+      respond();
+    });
+
+    function respond () {
+      if (errors.length > 0) {
+        response.statusCode = 400;
+        response.setHeader('Content-Type', 'application/json');
+        response.end(jsonStringifyIfObject({
+          error: 'Invalid request',
+          errors: errors
+        }));
+        return;
+      }
+      return handler.apply(self, args);
+    }
+  };
+}
+
+// Get the parsed body of a request, reading it from the request stream unless
+// a body parser already did it.
+function getRequestBody (request, callback) {
+  if (request.body !== undefined) {
+    callback(null, request.body);
+    return;
+  }
+
+  var body = '';
+  request.on('data', function (chunk) {
+    body += String(chunk);
+  });
+  request.on('end', function () {
+    if (!body.trim()) {
+      request.body = undefined;
+      callback(null, undefined);
+      return;
+    }
+    try {
+      request.body = JSON.parse(body);
+    } catch (error) {
+      request.body = body;
+      var type = String(request.headers['content-type'] || '');
+      if (type.indexOf('json') > -1) {
+        callback(new Error('should be valid JSON'));
+        return;
+      }
+    }
+    callback(null, request.body);
+  });
+  request.on('error', callback);
+}
+
+// Validate a response against the JSON Schemas declared for its status code
+// (in a handler's `responses`), and list all violations by JSON pointer.
+function getResponseSchemaViolations (responses, statusCode, headers, body) {
+  var violations = [];
+  if (!responses) {
+    return violations;
+  }
+
+  var status = String(statusCode);
+  var declaration = responses[status] || responses[status[0] + 'XX'] ||
+    responses['default'];
+  if (!declaration) {
+    return violations;
+  }
+
+  var headerSchemas = declaration.headers || {};
+  for (var header in headerSchemas) {
+    var pointer = '/' + escapeJSONPointer(header);
+    var value = headers[header.toLowerCase()];
+    if (value === undefined) {
+      violations.push({
+        in: 'headers',
+        pointer: pointer,
+        message: 'is required'
+      });
+      continue;
+    }
+    var schema = headerSchemas[header];
+    validateJSONSchema(schema, coerceValue(schema, value), pointer)
+      .forEach(function (violation) {
+        violation.in = 'headers';
+        violations.push(violation);
+      });
+  }
+
+  if (declaration.body) {
+    var parsedBody = body;
+    var types = [].concat(declaration.body.type || []);
+    if (!body) {
+      violations.push({ in: 'body', pointer: '', message: 'is required' });
+      return violations;
+    }
+    if (types.length !== 1 || types[0] !== 'string') {
+      try {
+        parsedBody = JSON.parse(body);
+      } catch (error) {
+        violations.push({ in: 'body', pointer: '', message: 'should be JSON' });
+        return violations;
+      }
+    }
+    validateJSONSchema(declaration.body, parsedBody, '')
+      .forEach(function (violation) {
+        violation.in = 'body';
+        violations.push(violation);
+      });
+  }
+
+  return violations;
+}
+
+// Check an actual response against an example response, and against the
+// handler's declared response schemas. Example functions like `status`,
+// `headers` or `body` may return Promises.
+function checkExampleResponse (handler, exampleResponse, actual, callback) {
+  var checks = [];
+
+  var status = exampleResponse.status;
+  checks.push(typeof status === 'function'
+    ? evaluatePredicate(status, actual.status)
+    : actual.status === (status || 200));
+
+  var headers = exampleResponse.headers || {};
+  Object.keys(headers).forEach(function (header) {
+    var expected = headers[header];
+    var value = actual.headers[header.toLowerCase()];
+    checks.push(typeof expected === 'function'
+      ? evaluatePredicate(expected, value)
+      : value === expected);
+  });
+
+  var bodyDiff = null;
+  if ('body' in exampleResponse) {
+    var body = exampleResponse.body;
+    if (typeof body === 'function') {
+      checks.push(evaluatePredicate(body, actual.body));
+    } else {
+      bodyDiff = getBodyDiff(body, actual.body, exampleResponse.match);
+      checks.push(bodyDiff === null);
+    }
+  }
+
+  var check = {
+    ok: false,
+    error: null,
+    bodyDiff: bodyDiff && bodyDiff.length > 0 ? bodyDiff : null,
+    schemaViolations: getResponseSchemaViolations(handler.responses,
+      actual.status, actual.headers, actual.body)
+  };
+
+  Promise.all(checks).then(function (values) {
+    check.ok = check.schemaViolations.length === 0 && values.every(Boolean);
+  }, function (error) {
+    check.error = error;
+  }).then(function () {
+    // Don't let the Promise swallow any errors thrown by `callback`.
+    process.nextTick(callback, check);
+  });
+}
+
+// Call an example function (e.g. `status`), which may return a Promise.
+function evaluatePredicate (predicate, value) {
+  return new Promise(function (resolve) {
+    resolve(predicate(value));
+  });
+}
+
+// Call a test setup function like `beforeEachTest`, which either calls
+// `next(error)` or returns a Promise.
+function callTestHook (hook, next) {
+  var called = false;
+  var returned = false;
+  var pending = null;
+  function done (error) {
+    if (called) {
+      return;
+    }
+    called = true;
+    if (returned) {
+      next(error);
+    } else {
+      pending = { error: error };
+    }
+  }
+
+  var result = null;
+  try {
+    result = hook(done);
+  } catch (error) {
+    done(error);
+  }
+  returned = true;
+
+  // Continue outside of the `try` block, so that errors thrown by the rest of
+  // the test run aren't mistaken for errors of the hook.
+  if (pending) {
+    next(pending.error);
+    return;
+  }
+
+  if (result && typeof result.then === 'function') {
+    result.then(function () {
+      // Functions that take `next` will call it themselves.
+      if (hook.length === 0) {
+        done();
+      }
+    }, function (error) {
+      done(error || new Error('Test setup function was rejected'));
+    });
+  }
+}
+
+// Determine if a schema violation is in response headers.
+function isInHeaders (violation) {
+  return violation.in === 'headers';
+}
+
+// Determine if a schema violation is in a response body.
+function isInBody (violation) {
+  return violation.in === 'body';
+}
+
+// Convert string request parameters (e.g. from a URL) to the number or boolean
+// types declared by their JSON Schemas.
+function coerceParameters (schema, values) {
+  var properties = schema.properties || {};
+  var coerced = {};
+  for (var name in values) {
+    coerced[name] = coerceValue(properties[name] || {}, values[name]);
+  }
+  return coerced;
+}
+
+// Convert a string value to the number or boolean type declared by its schema.
+function coerceValue (schema, value) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  var types = [].concat(schema.type || []);
+  if (types.indexOf('string') > -1) {
+    return value;
+  }
+  if ((types.indexOf('number') > -1 || types.indexOf('integer') > -1) &&
+      value.trim() !== '' && !isNaN(Number(value))) {
+    return Number(value);
+  }
+  if (types.indexOf('boolean') > -1 &&
+      (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  return value;
+}
+
+// Get the JSON Schema type of a value (e.g. 'integer' or 'null').
+function getJSONType (value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (typeof value === 'number' && value % 1 === 0) {
+    return 'integer';
+  }
+  return typeof value;
+}
+
+// Escape a property name for use in a JSON pointer (e.g. '/a~1b' for 'a/b').
+function escapeJSONPointer (name) {
+  return String(name).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+// Validate a value against a JSON Schema, and list all violations by JSON
+// pointer (e.g. `[{ pointer: '/item/id', message: 'should be integer' }]`).
+function validateJSONSchema (schema, value, pointer) {
+  var errors = [];
+  function fail (message) {
+    errors.push({ pointer: pointer, message: message });
+  }
+
+  if (!schema || typeof schema !== 'object') {
+    if (schema === false) {
+      fail('should not exist');
+    }
+    return errors;
+  }
+
+  if (value === undefined) {
+    return errors;
+  }
+
+  var type = getJSONType(value);
+  if (schema.type) {
+    var types = [].concat(schema.type);
+    if (schema.nullable) {
+      types.push('null');
+    }
+    var matchesType = types.some(function (expected) {
+      return expected === type || (expected === 'number' && type === 'integer');
+    });
+    if (!matchesType) {
+      fail('should be ' + types.join(' or '));
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(function (option) {
+    return jsonEqual(option, value);
+  })) {
+    fail('should be one of: ' + schema.enum.map(function (option) {
+      return JSON.stringify(option);
+    }).join(', '));
+  }
+  if (('const' in schema) && !jsonEqual(schema.const, value)) {
+    fail('should be ' + JSON.stringify(schema.const));
+  }
+
+  if (type === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail('should have at least ' + schema.minLength + ' characters');
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail('should have at most ' + schema.maxLength + ' characters');
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail('should match pattern ' + schema.pattern);
+    }
+  }
+
+  if (type === 'number' || type === 'integer') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail('should be >= ' + schema.minimum);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail('should be <= ' + schema.maximum);
+    }
+    if (typeof schema.exclusiveMinimum === 'number' &&
+        value <= schema.exclusiveMinimum) {
+      fail('should be > ' + schema.exclusiveMinimum);
+    }
+    if (typeof schema.exclusiveMaximum === 'number' &&
+        value >= schema.exclusiveMaximum) {
+      fail('should be < ' + schema.exclusiveMaximum);
+    }
+    if (schema.multipleOf && (value / schema.multipleOf) % 1 !== 0) {
+      fail('should be a multiple of ' + schema.multipleOf);
+    }
+  }
+
+  if (type === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail('should have at least ' + schema.minItems + ' items');
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail('should have at most ' + schema.maxItems + ' items');
+    }
+    if (schema.items) {
+      value.forEach(function (item, index) {
+        errors = errors.concat(
+          validateJSONSchema(schema.items, item, pointer + '/' + index));
+      });
+    }
+  }
+
+  if (type === 'object') {
+    var properties = schema.properties || {};
+    (schema.required || []).forEach(function (name) {
+      if (value[name] === undefined) {
+        errors.push({
+          pointer: pointer + '/' + escapeJSONPointer(name),
+          message: 'is required'
+        });
+      }
+    });
+    for (var name in value) {
+      var propertyPointer = pointer + '/' + escapeJSONPointer(name);
+      if (name in properties) {
+        errors = errors.concat(
+          validateJSONSchema(properties[name], value[name], propertyPointer));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ pointer: propertyPointer, message: 'is not allowed' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors = errors.concat(validateJSONSchema(schema.additionalProperties,
+          value[name], propertyPointer));
+      }
+    }
+  }
+
+  (schema.allOf || []).forEach(function (subschema) {
+    errors = errors.concat(validateJSONSchema(subschema, value, pointer));
+  });
+  if (schema.anyOf && !schema.anyOf.some(function (subschema) {
+    return validateJSONSchema(subschema, value, pointer).length === 0;
+  })) {
+    fail('should match at least one allowed schema');
+  }
+  if (schema.oneOf && schema.oneOf.filter(function (subschema) {
+    return validateJSONSchema(subschema, value, pointer).length === 0;
+  }).length !== 1) {
+    fail('should match exactly one allowed schema');
+  }
+  if (schema.not &&
+      validateJSONSchema(schema.not, value, pointer).length === 0) {
+    fail('should not match the disallowed schema');
+  }
+
+  return errors;
+}
+
+// Compare two JSON values structurally (ignoring the order of object keys).
+function jsonEqual (a, b) {
+  if (a === b) {
+    return true;
+  }
+  var type = getJSONType(a);
+  if (type !== getJSONType(b) || (type !== 'array' && type !== 'object')) {
+    return false;
+  }
+  var keys = Object.keys(a);
+  if (keys.length !== Object.keys(b).length) {
+    return false;
+  }
+  return keys.every(function (key) {
+    return (key in b) && jsonEqual(a[key], b[key]);
+  });
+}
+
+// Placeholder for any value of a given type in expected response bodies (e.g.
+// `selfapi.any(String)`), or for any value at all (`selfapi.any()`).
+function Any (type) {
+  if (type && !anyTypes.some(function (anyType) {
+    return anyType[0] === type;
+  })) {
+    throw new Error('Unsupported type for selfapi.any(): ' + type);
+  }
+  this.type = type || null;
+}
+
+Any.prototype = {
+  // Determine if a parsed JSON value matches this placeholder.
+  matches: function (value) {
+    if (value === undefined) {
+      return false;
+    }
+    var type = this.type;
+    if (!type) {
+      return true;
+    }
+    var jsonType = getJSONType(value);
+    return anyTypes.some(function (anyType) {
+      return anyType[0] === type && anyType.indexOf(jsonType) > 0;
+    });
+  },
+
+  // Describe this placeholder in documentation and test results.
+  toJSON: function () {
+    return '<any ' + (this.type ? this.type.name : 'value') + '>';
+  }
+};
+
+// Types supported by `selfapi.any(Type)`, with their matching JSON types.
+var anyTypes = [
+  [ String, 'string' ],
+  [ Number, 'number', 'integer' ],
+  [ Boolean, 'boolean' ],
+  [ Array, 'array' ],
+  [ Object, 'object' ]
+];
+
+// Create a placeholder for any value of a given type.
+function any (type) {
+  return new Any(type);
+}
+
+// Compare an expected response body with an actual one, and list their
+// differences (by JSON pointer for JSON bodies, or by line for text bodies), or
+// return `null` if they match.
+function getBodyDiff (expected, actualBody, match) {
+  var expectedValue = parseIfJSON(expected);
+  var expectedType = getJSONType(expectedValue);
+  if (expectedValue instanceof Any || expectedType === 'object' ||
+      expectedType === 'array') {
+    var actualValue = undefined;
+    try {
+      actualValue = JSON.parse(actualBody);
+    } catch (error) {
+      return [ '(body): expected JSON, got ' + JSON.stringify(actualBody) ];
+    }
+    var diff = getJSONDiff(expectedValue, actualValue, match === 'subset', '');
+    return diff.length > 0 ? diff : null;
+  }
+
+  expected = String(expected).trim();
+  if (actualBody === expected) {
+    return null;
+  }
+  // Single-line bodies are short enough to be reported as a whole.
+  if (expected.indexOf('\n') < 0 && actualBody.indexOf('\n') < 0) {
+    return [];
+  }
+  return getLineDiff(expected.split('\n'), actualBody.split('\n'));
+}
+
+// List the differences between two parsed JSON values by JSON pointer (e.g.
+// '/items/0/id: expected 1, got 2'). With `subset`, extra fields are ignored.
+function getJSONDiff (expected, actual, subset, pointer) {
+  var location = pointer || '(body)';
+  if (expected instanceof Any) {
+    return expected.matches(actual)
+      ? []
+      : [ location + ': expected ' + expected.toJSON() + ', got ' +
+        JSON.stringify(actual) ];
+  }
+
+  var type = getJSONType(expected);
+  if (type !== getJSONType(actual) || (type !== 'array' && type !== 'object')) {
+    return expected === actual
+      ? []
+      : [ location + ': expected ' + JSON.stringify(expected) + ', got ' +
+        JSON.stringify(actual) ];
+  }
+
+  if (type === 'array' && expected.length !== actual.length) {
+    return [ location + ': expected ' + expected.length + ' items, got ' +
+      actual.length ];
+  }
+
+  var diff = [];
+  Object.keys(expected).forEach(function (key) {
+    var keyPointer = pointer + '/' + escapeJSONPointer(key);
+    if (!(key in actual)) {
+      diff.push(keyPointer + ': missing');
+      return;
+    }
+    diff = diff.concat(getJSONDiff(expected[key], actual[key], subset,
+      keyPointer));
+  });
+  if (!subset && type === 'object') {
+    Object.keys(actual).forEach(function (key) {
+      if (!(key in expected)) {
+        diff.push(pointer + '/' + escapeJSONPointer(key) + ': unexpected');
+      }
+    });
+  }
+  return diff;
+}
+
+// List the lines to remove ('- …') and add ('+ …') to turn the expected lines
+// into the actual ones (based on their longest common subsequence).
+function getLineDiff (expected, actual) {
+  var lengths = [];
+  for (var i = expected.length; i >= 0; i--) {
+    lengths[i] = [];
+    for (var j = actual.length; j >= 0; j--) {
+      if (i === expected.length || j === actual.length) {
+        lengths[i][j] = 0;
+      } else if (expected[i] === actual[j]) {
+        lengths[i][j] = lengths[i + 1][j + 1] + 1;
+      } else {
+        lengths[i][j] = Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+  }
+
+  var diff = [];
+  i = 0;
+  j = 0;
+  while (i < expected.length || j < actual.length) {
+    if (i < expected.length && j < actual.length &&
+        expected[i] === actual[j]) {
+      i++;
+      j++;
+    } else if (j === actual.length || (i < expected.length &&
+        lengths[i + 1][j] >= lengths[i][j + 1])) {
+      diff.push('- ' + expected[i++]);
+    } else {
+      diff.push('+ ' + actual[j++]);
+    }
+  }
+  return diff;
+}
+
+// Parse JSON-looking strings (e.g. example bodies), leave other values as-is.
+function parseIfJSON (value) {
+  if (typeof value !== 'string' || !/^\s*[\[{]/.test(value)) {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+// Minimal request router for plain Node.js servers, supporting URL parameters
+// like ':param' and '*'.
+function Router () {
+  // Registered routes, in order of precedence.
+  this.routes = [];
+}
+
+Router.prototype = {
+  // Register a request handler for a method and path (e.g. 'get', '/:id').
+  add: function (method, path, handler) {
+    var route = compileRoutePath(path);
+    route.method = method.toUpperCase();
+    route.handler = handler;
+    route.path = path;
+    this.routes.push(route);
+  },
+
+  // Unregister all request handlers for a method and path.
+  remove: function (method, path) {
+    method = method.toUpperCase();
+    this.routes = this.routes.filter(function (route) {
+      return route.method !== method || route.path !== path;
+    });
+  },
+
+  // Dispatch a request to the matching request handlers, in order.
+  handle: function (request, response) {
+    var routes = this.routes;
+    var requestUrl = url.parse(request.url, true);
+    if (!request.query || typeof request.query !== 'object') {
+      request.query = requestUrl.query;
+    }
+
+    var i = 0;
+    function next (error) {
+      if (error) {
+        // Log errors like express does, since there is no error handler.
+        console.error(error.stack || String(error));
+        response.statusCode = 500;
+        response.end(http.STATUS_CODES[500]);
+        return;
+      }
+      while (i < routes.length) {
+        var route = routes[i++];
+        var params = matchRoute(route, request.method, requestUrl.pathname);
+        if (params) {
+          request.params = params;
+          try {
+            route.handler(request, response, next);
+          } catch (error) {
+            next(error);
+          }
+          return;
+        }
+      }
+      response.statusCode = 404;
+      response.end(http.STATUS_CODES[404]);
+    }
+    next();
+  }
+};
+
+// Compile a path with URL parameters like ':param' or '*' into a RegExp.
+function compileRoutePath (path) {
+  var keys = getUrlParameterNames(path);
+  var source = String(path).split(/(:\w+|\*)/).map(function (part, index) {
+    if (index % 2 === 0) {
+      return escapeRegExp(part);
+    }
+    return part === '*' ? '(.*)' : '([^/]+)';
+  }).join('');
+  return {
+    keys: keys,
+    regex: new RegExp('^' + source + '/?$')
+  };
+}
+
+// Match a request method and pathname against a compiled route, and return the
+// URL parameters (or `null` if the route doesn't match).
+function matchRoute (route, method, pathname) {
+  var methodMatches = route.method === 'ALL' || route.method === method ||
+    (route.method === 'GET' && method === 'HEAD');
+  var match = methodMatches && route.regex.exec(pathname);
+  if (!match) {
+    return null;
+  }
+  var params = {};
+  route.keys.forEach(function (key, index) {
+    var value = match[index + 1];
+    try {
+      value = decodeURIComponent(value);
+    } catch (error) {
+      // Keep the raw value.
+    }
+    params[key] = value;
+  });
+  return params;
+}
+
+// Create a request handler that responds with the handler example that best
+// matches each request (or with its first example if none matches).
+function getMockHandler (handler) {
+  return function (request, response) {
+    getRequestBody(request, function (error, body) {
+      var example = findMatchingExample(handler.examples || [], request,
+        error ? undefined : body);
+      if (!example) {
+        response.statusCode = 501;
+        response.end(http.STATUS_CODES[501]);
+        return;
+      }
+
+      var exampleResponse = example.response || {};
+      response.statusCode = (typeof exampleResponse.status === 'number'
+        ? exampleResponse.status
+        : 200);
+      var headers = exampleResponse.headers || {};
+      for (var header in headers) {
+        if (isExplicitExample(headers[header])) {
+          response.setHeader(header, headers[header]);
+        }
+      }
+      if (!isExplicitExample(exampleResponse.body)) {
+        response.end();
+        return;
+      }
+      if ((exampleResponse.body instanceof Object) &&
+          !response.getHeader('Content-Type')) {
+        response.setHeader('Content-Type', 'application/json');
+      }
+      response.end(jsonStringifyIfObject(exampleResponse.body));
+    });
+  };
+}
+
+// Find the example whose request best matches a given request (i.e. the one
+// with the most matching URL parameters, query parameters and body).
+function findMatchingExample (examples, request, body) {
+  var bestExample = examples[0] || null;
+  var bestScore = -1;
+  examples.forEach(function (example) {
+    var score = getExampleMatchScore(example.request || {}, request, body);
+    if (score > bestScore) {
+      bestExample = example;
+      bestScore = score;
+    }
+  });
+  return bestExample;
+}
+
+// Count how many parts of an example request match a given request (or return
+// -1 if any of them doesn't match).
+function getExampleMatchScore (exampleRequest, request, body) {
+  var score = 0;
+
+  var params = request.params || {};
+  for (var urlParameter in exampleRequest.urlParameters) {
+    var name = urlParameter === '*' ? '0' : urlParameter;
+    if (String(params[name]) !==
+        String(exampleRequest.urlParameters[urlParameter])) {
+      return -1;
+    }
+    score++;
+  }
+
+  var query = request.query || {};
+  for (var queryParameter in exampleRequest.queryParameters) {
+    var queryValue = exampleRequest.queryParameters[queryParameter];
+    if (!(queryParameter in query) ||
+        (queryValue && String(query[queryParameter]) !== String(queryValue))) {
+      return -1;
+    }
+    score++;
+  }
+
+  if ('body' in exampleRequest) {
+    if (!jsonEqual(parseIfJSON(exampleRequest.body), parseIfJSON(body))) {
+      return -1;
+    }
+    score++;
+  }
+
+  return score;
+}
+
+// Determine why a request handler example should be skipped (if at all).
+function getSkipReason (entry, testOptions, hasOnlyExamples) {
+  if (entry.missingExamples) {
+    return 'Handler has no examples';
+  }
+  if (entry.example.skip) {
+    return 'Example is marked with "skip"';
+  }
+  if (hasOnlyExamples && !entry.example.only) {
+    return 'Other examples are marked with "only"';
+  }
+  if (testOptions.only && !matchesTestFilter(testOptions.only, entry)) {
+    return 'Example does not match "only" filter';
+  }
+  if (testOptions.skip && matchesTestFilter(testOptions.skip, entry)) {
+    return 'Example matches "skip" filter';
+  }
+  return null;
+}
+
+// Determine if a request handler example matches all criteria of a test filter
+// like `{ path: '/api/items/**', method: 'get', title: 'item', tags: [] }`.
+function matchesTestFilter (filter, entry) {
+  if (filter.path && ![].concat(filter.path).some(function (glob) {
+    return globToRegExp(glob).test(entry.path);
+  })) {
+    return false;
+  }
+
+  if (filter.method && ![].concat(filter.method).some(function (method) {
+    return String(method).toLowerCase() === entry.method;
+  })) {
+    return false;
+  }
+
+  var title = String(entry.handler.title || '').toLowerCase();
+  if (filter.title && ![].concat(filter.title).some(function (substring) {
+    return title.indexOf(String(substring).toLowerCase()) > -1;
+  })) {
+    return false;
+  }
+
+  var tags = [].concat(entry.handler.tags || [], entry.example.tags || []);
+  if (filter.tags && ![].concat(filter.tags).some(function (tag) {
+    return tags.indexOf(tag) > -1;
+  })) {
+    return false;
+  }
+
+  return true;
+}
+
+// Create a test function that only reports a skipped example.
+function getSkippedTest (entry, reason) {
+  var request = entry.example.request || {};
+  var uri = entry.path;
+  if (request.urlParameters) {
+    uri = replaceUrlParameters(uri, request.urlParameters);
+  }
+  var summary = {
+    handler: entry.handler.title || '(no title)',
+    method: entry.method,
+    uri: uri,
+    request: request,
+    reason: reason
+  };
+  return function (callback) {
+    process.nextTick(callback, null, {
+      failed: [],
+      passed: [],
+      skipped: [ summary ]
+    });
+  };
+}
+
+// Check that examples have unique ids, and only depend on known examples.
+// Returns an Error if they don't, or `null`.
+function getDependencyError (tests) {
+  var ids = {};
+  for (var i = 0; i < tests.length; i++) {
+    var id = tests[i].id;
+    if (id === undefined) {
+      continue;
+    }
+    if (id in ids) {
+      return new Error('Duplicate example id: "' + id + '"');
+    }
+    ids[id] = true;
+  }
+  for (i = 0; i < tests.length; i++) {
+    var unknown = tests[i].dependsOn.filter(function (dependency) {
+      return !(dependency in ids);
+    });
+    if (unknown.length > 0) {
+      return new Error('Unknown example dependency: "' + unknown[0] + '"');
+    }
+  }
+  return null;
+}
+
+// Convert a path glob into a RegExp, where '*' matches within a path segment
+// and '**' matches across path segments.
+function globToRegExp (glob) {
+  var source = String(glob).split(/(\*\*|\*)/).map(function (part, index) {
+    if (index % 2 === 0) {
+      return escapeRegExp(part);
+    }
+    return part === '**' ? '.*' : '[^/]*';
+  }).join('');
+  return new RegExp('^' + source + '$');
+}
+
+// Escape special characters for use in a RegExp.
+function escapeRegExp (text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Get the request listener of a server app (e.g. an express app, or a Node.js
+// server), or `null` for anything else (e.g. a base URL).
+function getRequestListener (app) {
+  if (typeof app === 'function') {
+    return app;
+  }
+  if (app instanceof http.Server || app instanceof https.Server) {
+    return function (request, response) {
+      app.emit('request', request, response);
+    };
+  }
+  return null;
+}
+
+// Get a client that dispatches self-test requests to a request listener
+// in-process, using in-memory request and response objects instead of a
+// network connection. It mimics the parts of `http.request()` used in tests.
+function getInProcessClient (listener) {
+  return {
+    request: function (requestOptions, onResponse) {
+      var client = new events.EventEmitter();
+      var chunks = [];
+      client.write = function (chunk) {
+        chunks.push(Buffer.from(chunk));
+        return true;
+      };
+      client.destroy = function () {
+        client.destroyed = true;
+      };
+      client.end = function () {
+        setImmediate(function () {
+          dispatchInProcess(listener, requestOptions, Buffer.concat(chunks),
+            function (error, response) {
+              if (client.destroyed) {
+                return;
+              }
+              if (error) {
+                client.emit('error', error);
+                return;
+              }
+              onResponse(response);
+            });
+        });
+      };
+      return client;
+    }
+  };
+}
+
+// Dispatch a request to a request listener in-process, and call back with a
+// readable response that has a `statusCode` and `headers`, like
+// `http.IncomingMessage`.
+function dispatchInProcess (listener, requestOptions, body, callback) {
+  var request = new http.IncomingMessage(new net.Socket());
+  request.method = String(requestOptions.method).toUpperCase();
+  request.url = requestOptions.path;
+  // Some server apps (e.g. Fastify) refuse requests without an HTTP version.
+  request.httpVersion = '1.1';
+  request.httpVersionMajor = 1;
+  request.httpVersionMinor = 1;
+  request.headers = { host: 'localhost' };
+  request.rawHeaders = [];
+  var headers = requestOptions.headers || {};
+  for (var name in headers) {
+    request.headers[name.toLowerCase()] = String(headers[name]);
+    request.rawHeaders.push(name, String(headers[name]));
+  }
+  if (body.length > 0 && !request.headers['content-length']) {
+    request.headers['content-length'] = String(body.length);
+  }
+  if (body.length > 0) {
+    request.push(body);
+  }
+  request.push(null);
+
+  var response = new http.ServerResponse(request);
+  var responseChunks = [];
+  var ended = false;
+  function addChunk (chunk, encoding) {
+    if (chunk && typeof chunk !== 'function') {
+      responseChunks.push(Buffer.isBuffer(chunk)
+        ? chunk
+        : Buffer.from(String(chunk), typeof encoding === 'string'
+          ? encoding
+          : 'utf8'));
+    }
+  }
+
+  response.writeHead = function (status, reason, headers) {
+    response.statusCode = status;
+    if (typeof reason === 'string') {
+      response.statusMessage = reason;
+    } else {
+      headers = reason;
+    }
+    for (var name in headers) {
+      response.setHeader(name, headers[name]);
+    }
+    return response;
+  };
+  response.write = function (chunk, encoding) {
+    addChunk(chunk, encoding);
+    return true;
+  };
+  response.end = function (chunk, encoding) {
+    if (ended) {
+      return response;
+    }
+    ended = true;
+    addChunk(chunk, encoding);
+
+    var incoming = new stream.PassThrough();
+    incoming.statusCode = response.statusCode;
+    incoming.headers = {};
+    var outgoingHeaders = response.getHeaders();
+    for (var name in outgoingHeaders) {
+      var value = outgoingHeaders[name];
+      incoming.headers[name] = Array.isArray(value)
+        ? value.map(String)
+        : String(value);
+    }
+    response.emit('finish');
+    callback(null, incoming);
+    incoming.end(Buffer.concat(responseChunks));
+    return response;
+  };
+
+  try {
+    listener(request, response);
+  } catch (error) {
+    callback(error);
+  }
+}
+
+// Send a self-test request, and collect its response as `{status, headers,
+// body}`. Requests that take longer than `timeout` milliseconds are aborted.
+function sendTestRequest (client, requestOptions, exampleRequest, timeout,
+  callback) {
+  var done = false;
+  function finish (error, actual) {
+    if (!done) {
+      done = true;
+      clearTimeout(timer);
+      callback(error, actual);
+    }
+  }
+
+  var request = null;
+  try {
+    request = client.request(requestOptions, function (response) {
+      var body = '';
+      response.on('data', function (chunk) {
+        body += String(chunk);
+      });
+      response.on('end', function () {
+        finish(null, {
+          status: response.statusCode,
+          headers: response.headers,
+          body: body.trim()
+        });
+      });
+    });
+  } catch (error) {
+    // E.g. invalid characters in the request path.
+    process.nextTick(callback, error);
+    return;
+  }
+
+  request.on('error', function (error) {
+    finish(error);
+  });
+
+  var timer = setTimeout(function () {
+    var error = new Error('timed out after ' + timeout + ' ms');
+    error.timedOut = true;
+    finish(error);
+    request.destroy();
+  }, timeout);
+
+  if ('body' in exampleRequest) {
+    request.write(jsonStringifyIfObject(exampleRequest.body));
+  }
+  request.end();
+}
+
+// Get the self-test timeout of a request handler example, in milliseconds (set
+// per example, per API resource or its parents, or for all tests).
+function getTestTimeout (api, example, testOptions) {
+  if (example.timeout) {
+    return example.timeout;
+  }
+  var resource = api;
+  while (resource instanceof API) {
+    if (resource.testTimeout) {
+      return resource.testTimeout;
+    }
+    resource = resource.parent;
+  }
+  return testOptions.timeout || 10000;
+}
+
+// Get a self-test option that can be set per example, or for all tests.
+function getTestOption (name, example, testOptions, defaultValue) {
+  if (typeof example[name] === 'number') {
+    return example[name];
+  }
+  if (typeof testOptions[name] === 'number') {
+    return testOptions[name];
+  }
+  return defaultValue;
+}
+
+// Determine if a self-test attempt timed out.
+function hasTimedOut (attempt) {
+  return attempt.timedOut === true;
+}
+
+// Get the outcome of a single test (i.e. 'passed', 'failed' or 'skipped').
+function getTestOutcome (testResults) {
+  if (!testResults || testResults.failed.length > 0) {
+    return 'failed';
+  }
+  if (testResults.passed.length > 0) {
+    return 'passed';
+  }
+  return 'skipped';
+}
+
+// Replace all `{{variable}}` placeholders in an example request (a value that
+// is only a placeholder is replaced with the variable's value as-is).
+function substituteVariables (value, variables) {
+  if (typeof value === 'string') {
+    var placeholder = /^\{\{\s*([\w.-]+)\s*\}\}$/.exec(value);
+    if (placeholder && (placeholder[1] in variables)) {
+      return variables[placeholder[1]];
+    }
+    return value.replace(/\{\{\s*([\w.-]+)\s*\}\}/g,
+      function (match, name) {
+        return (name in variables) ? String(variables[name]) : match;
+      });
+  }
+  if (Array.isArray(value)) {
+    return value.map(function (item) {
+      return substituteVariables(item, variables);
+    });
+  }
+  if (value && typeof value === 'object') {
+    var substituted = {};
+    for (var key in value) {
+      substituted[key] = substituteVariables(value[key], variables);
+    }
+    return substituted;
+  }
+  return value;
+}
+
+// Capture values from an actual response into variables, e.g. with
+// `{ itemId: '$.item.id', location: { header: 'Location' } }`. Returns an
+// error message if a value can't be found.
+function captureResponseValues (capture, actual, variables) {
+  var body = undefined;
+  for (var name in capture) {
+    var source = capture[name];
+    var value = undefined;
+    if (source && source.header) {
+      value = actual.headers[String(source.header).toLowerCase()];
+    } else {
+      if (body === undefined) {
+        try {
+          body = JSON.parse(actual.body);
+        } catch (error) {
+          return 'Can\'t capture "' + name + '": Response body is not JSON';
+        }
+      }
+      value = getJSONPathValue(body, String(source));
+    }
+    if (value === undefined) {
+      return 'Can\'t capture "' + name + '": No value at ' +
+        (source.header ? 'header ' + source.header : source);
+    }
+    variables[name] = value;
+  }
+  return null;
+}
+
+// Get a value in a parsed JSON body by simple JSON path (e.g. '$.items[0].id').
+function getJSONPathValue (body, path) {
+  if (path.charAt(0) !== '$') {
+    return undefined;
+  }
+  var value = body;
+  var step = /\.([^.\[]+)|\[(\d+)\]/g;
+  var rest = path.slice(1);
+  var match = null;
+  var index = 0;
+  while ((match = step.exec(rest)) && match.index === index) {
+    if (value === null || typeof value !== 'object') {
+      return undefined;
+    }
+    value = value[match[1] !== undefined ? match[1] : Number(match[2])];
+    index = step.lastIndex;
+  }
+  return index === rest.length ? value : undefined;
+}
+
+// Determine if an API resource's tests may run alongside other tests.
+function allowsConcurrentTests (api) {
+  var resource = api;
+  while (resource instanceof API) {
+    if (resource.concurrentTests === false) {
+      return false;
+    }
+    resource = resource.parent;
+  }
+  return true;
+}
+
+// Create a seeded pseudo-random number generator (mulberry32), which returns
+// numbers between 0 and 1 like `Math.random()`.
+function createRandom (seed) {
+  var state = seed >>> 0;
+  return function () {
+    state = (state + 0x6D2B79F5) >>> 0;
+    var t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Shuffle an Array in place, using a given random number generator.
+function shuffle (array, random) {
+  for (var i = array.length - 1; i > 0; i--) {
+    var j = Math.floor(random() * (i + 1));
+    var value = array[i];
+    array[i] = array[j];
+    array[j] = value;
+  }
+  return array;
+}
+
+// Built-in self-test reporters, which format test results as text.
+var reporters = {
+  // Short summary, listing all failures (e.g. 'Results: 4/5 tests passed.').
+  summary: function (results) {
+    var total = results.passed.length + results.failed.length;
+    var report = 'Results: ' + results.passed.length + '/' + total + ' test' +
+      (total === 1 ? '' : 's') + ' passed.';
+    if (results.failed.length > 0) {
+      report += '\nFailed: ' + jsonStringifyWithFunctions(results.failed);
+    }
+    var skipped = (results.skipped || []).length;
+    if (skipped > 0) {
+      report += '\nSkipped: ' + skipped + ' test' + (skipped === 1 ? '' : 's') +
+        '.';
+    }
+    (results.warnings || []).forEach(function (warning) {
+      report += '\nWarning: ' + warning.message;
+    });
+    if (results.seed !== undefined) {
+      report += '\nSeed: ' + results.seed;
+    }
+    return report;
+  },
+
+  // Human-readable list of tests, grouped by request handler.
+  spec: function (results) {
+    var handlers = {};
+    getTestReports(results).forEach(function (test) {
+      var handler = handlers[test.summary.handler] || [];
+      handlers[test.summary.handler] = handler;
+      handler.push(test);
+    });
+
+    var lines = [];
+    for (var title in handlers) {
+      lines.push(title);
+      handlers[title].forEach(function (test) {
+        if (test.skipped) {
+          lines.push('  - ' + test.name + ' (skipped: ' +
+            test.summary.reason + ')');
+          return;
+        }
+        lines.push('  ' + (test.ok ? '✓ ' : '✗ ') + test.name);
+        if (!test.ok) {
+          describeFailure(test.summary).forEach(function (line) {
+            lines.push('      ' + line);
+          });
+        }
+      });
+      lines.push('');
+    }
+    lines.push(results.passed.length + ' passed, ' + results.failed.length +
+      ' failed' + (results.skipped && results.skipped.length > 0
+      ? ', ' + results.skipped.length + ' skipped.'
+      : '.'));
+    (results.warnings || []).forEach(function (warning) {
+      lines.push('Warning: ' + warning.message);
+    });
+    if (results.seed !== undefined) {
+      lines.push('Seed: ' + results.seed);
+    }
+    return lines.join('\n');
+  },
+
+  // Test Anything Protocol (TAP version 13).
+  tap: function (results) {
+    var tests = getTestReports(results);
+    var lines = [ 'TAP version 13', '1..' + tests.length ];
+    tests.forEach(function (test, index) {
+      lines.push((test.ok ? 'ok ' : 'not ok ') + (index + 1) + ' - ' +
+        test.name + ' (' + test.summary.handler + ')' +
+        (test.skipped ? ' # SKIP ' + test.summary.reason : ''));
+      if (!test.ok) {
+        lines.push('  ---');
+        lines.push('  expected: ' + jsonStringifyWithFunctions(
+          getExpectedResponseReport(test.summary), 0));
+        lines.push('  actual: ' +
+          jsonStringifyWithFunctions(test.summary.actualResponse, 0));
+        if (test.summary.bodyDiff) {
+          lines.push('  bodyDiff: ' + JSON.stringify(test.summary.bodyDiff));
+        }
+        if (test.summary.schemaViolations) {
+          lines.push('  schemaViolations: ' +
+            JSON.stringify(test.summary.schemaViolations));
+        }
+        lines.push('  ...');
+      }
+    });
+    (results.warnings || []).forEach(function (warning) {
+      lines.push('# warning ' + warning.message);
+    });
+    if (results.seed !== undefined) {
+      lines.push('# seed ' + results.seed);
+    }
+    return lines.join('\n');
+  },
+
+  // JUnit XML, as understood by most continuous integration systems.
+  junit: function (results) {
+    var tests = getTestReports(results);
+    var skipped = (results.skipped || []).length;
+    var counts = 'tests="' + tests.length + '" failures="' +
+      results.failed.length + '"' +
+      (skipped > 0 ? ' skipped="' + skipped + '"' : '');
+    var lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<testsuites ' + counts + '>',
+      '  <testsuite name="selfapi" ' + counts + '>'
+    ];
+    if (results.seed !== undefined) {
+      lines.push('    <properties>');
+      lines.push('      <property name="seed" value="' + results.seed + '"/>');
+      lines.push('    </properties>');
+    }
+    tests.forEach(function (test) {
+      var testcase = '    <testcase classname="' +
+        escapeMarkup(test.summary.handler) + '" name="' +
+        escapeMarkup(test.name) + '"';
+      if (test.skipped) {
+        lines.push(testcase + '>');
+        lines.push('      <skipped message="' +
+          escapeMarkup(test.summary.reason) + '"/>');
+        lines.push('    </testcase>');
+        return;
+      }
+      if (test.ok) {
+        lines.push(testcase + '/>');
+        return;
+      }
+      var failure = describeFailure(test.summary);
+      lines.push(testcase + '>');
+      lines.push('      <failure message="' + escapeMarkup(failure[0]) + '">' +
+        escapeMarkup(failure.join('\n')) + '</failure>');
+      lines.push('    </testcase>');
+    });
+    var warnings = results.warnings || [];
+    if (warnings.length > 0) {
+      lines.push('    <system-err>' + escapeMarkup(warnings.map(
+        function (warning) {
+          return 'Warning: ' + warning.message;
+        }).join('\n')) + '</system-err>');
+    }
+    lines.push('  </testsuite>');
+    lines.push('</testsuites>');
+    return lines.join('\n');
+  }
+};
+
+// Get a reporter function that formats test results as text (e.g. 'junit', or
+// a custom function), or `null` to disable reporting.
+function getReporter (reporter) {
+  if (reporter === false || reporter === null) {
+    return null;
+  }
+  var report = (typeof reporter === 'function'
+    ? reporter
+    : reporters[reporter || 'summary']);
+  if (typeof report !== 'function') {
+    throw new Error('Unknown test reporter: ' + reporter);
+  }
+  return report;
+}
+
+// List all test results in a common format for reporters.
+function getTestReports (results) {
+  function getTestReport (ok, skipped) {
+    return function (summary) {
+      return {
+        ok: ok,
+        skipped: skipped,
+        name: String(summary.method).toUpperCase() + ' ' + summary.uri +
+          (summary.unauthenticated ? ' (unauthenticated)' : ''),
+        summary: summary
+      };
+    };
+  }
+  return results.passed.map(getTestReport(true, false))
+    .concat(results.failed.map(getTestReport(false, false)))
+    .concat((results.skipped || []).map(getTestReport(true, true)));
+}
+
+// Describe why a test failed, in a few lines of text.
+function describeFailure (summary) {
+  var actual = summary.actualResponse || {};
+  var lines = [];
+  if (actual.error) {
+    lines.push('Error: ' + actual.error);
+  } else {
+    lines.push('Unexpected response (status ' + actual.status + ')');
+  }
+  lines.push('Expected: ' +
+    jsonStringifyWithFunctions(getExpectedResponseReport(summary), 0));
+  lines.push('Actual: ' + jsonStringifyWithFunctions(actual, 0));
+  if (summary.bodyDiff) {
+    lines.push('Body diff:');
+    summary.bodyDiff.forEach(function (line) {
+      lines.push('  ' + line);
+    });
+  }
+  if (summary.predicateError) {
+    lines.push('Example function failed: ' + summary.predicateError);
+  }
+  (summary.schemaViolations || []).forEach(function (violation) {
+    lines.push('Schema violation in ' + violation.in + ' at "' +
+      violation.pointer + '": ' + violation.message);
+  });
+  return lines;
+}
+
+// Get the expected response of a failed test for reporters, without its body
+// when the test has a body diff instead.
+function getExpectedResponseReport (summary) {
+  var expected = summary.expectedResponse;
+  if (!summary.bodyDiff || !expected) {
+    return expected;
+  }
+  var report = {};
+  for (var key in expected) {
+    if (key !== 'body') {
+      report[key] = expected[key];
+    }
+  }
+  return report;
+}
+
+// Escape special characters for use in HTML or XML.
+function escapeMarkup (text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Get an HTML badge for a request method (e.g. 'GET').
+function getMethodBadge (method) {
+  var name = escapeMarkup(String(method).toLowerCase());
+  return '<span class="method method-' + name + '">' + name.toUpperCase() +
+    '</span>';
+}
+
+// Get an HTML table of contents from documentation headings, like `{ level: 1,
+// id: 'items', title: 'Items' }` (request handler headings have a `method`).
+function getTableOfContents (sections) {
+  var html = '<ul>\n';
+  var isNested = false;
+  sections.forEach(function (section) {
+    var link = '<a href="#' + section.id + '">' +
+      (section.method ? getMethodBadge(section.method) + ' ' : '') +
+      escapeMarkup(section.title) + '</a>';
+    if (section.level > 1) {
+      html += '<li>' + link + '</li>\n';
+      return;
+    }
+    if (isNested) {
+      html += '</ul>\n</li>\n';
+    }
+    html += '<li>' + link + '\n<ul>\n';
+    isNested = true;
+  });
+  if (isNested) {
+    html += '</ul>\n</li>\n';
+  }
+  return html + '</ul>';
+}
+
+// Get an interactive HTML form that sends a request to a request handler,
+// pre-filled with the values of its first example.
+function getTryItForm (method, path, handler, interactive) {
+  var examples = handler.examples || [];
+  var request = (examples[0] || {}).request || {};
+  var requestMethod = String(request.method ||
+    (method === 'all' ? 'get' : method)).toUpperCase();
+  var baseUrl = (interactive && interactive.baseUrl) || '';
+
+  function getField (label, name, value, multiline) {
+    value = (value === undefined || value === null)
+      ? ''
+      : escapeMarkup(jsonStringifyIfObject(value));
+    return '<label>' + escapeMarkup(label) + ' ' + (multiline
+      ? '<textarea name="' + escapeMarkup(name) + '">' + value + '</textarea>'
+      : '<input name="' + escapeMarkup(name) + '" value="' + value + '">') +
+      '</label>\n';
+  }
+
+  var html = '<form class="try-it" data-method="' +
+    escapeMarkup(requestMethod) + '" data-base-url="' + escapeMarkup(baseUrl) +
+    '" data-path="' + escapeMarkup(path) + '">\n<h3>Try it</h3>\n';
+
+  var urlParameters = request.urlParameters || {};
+  getUrlParameterNames(path).forEach(function (name) {
+    // Wildcards are named by their index (e.g. '0' for the first '*').
+    var label = /^\d+$/.test(name) ? '*' : name;
+    html += getField(label, 'url:' + name,
+      getUrlParameterExample(urlParameters, name));
+  });
+
+  // Offer both declared and example query parameters.
+  var queryParameters = request.queryParameters || {};
+  getDocumentedParameterRows(handler, path).forEach(function (row) {
+    if (row.in === 'query') {
+      html += getField(row.name, 'query:' + row.name,
+        queryParameters[row.name]);
+    }
+  });
+
+  var requestHeaders = request.headers || {};
+  html += getField('Headers', 'headers', Object.keys(requestHeaders)
+    .map(function (header) {
+      return header + ': ' + requestHeaders[header];
+    }).join('\n'), true);
+  if (requestMethod !== 'GET' && requestMethod !== 'HEAD') {
+    html += getField('Body', 'body', request.body, true);
+  }
+
+  return html + '<button type="submit">Send ' + escapeMarkup(requestMethod) +
+    ' request</button>\n<pre class="try-it-response" hidden></pre>\n' +
+    '</form>\n';
+}
+
+// Browser script for interactive "Try it" forms, which sends their requests
+// with `fetch` and shows the live responses.
+var tryItScript = [
+  'document.addEventListener(\'submit\', function (event) {',
+  '  var form = event.target;',
+  '  if (!form.classList.contains(\'try-it\')) {',
+  '    return;',
+  '  }',
+  '  event.preventDefault();',
+  '  var fields = form.elements;',
+  '  var wildcards = 0;',
+  '  var path = form.dataset.path.replace(/:(\\w+)|\\*/g, function (match,',
+  '    name) {',
+  '    var field = fields[\'url:\' + (name || String(wildcards++))];',
+  '    if (!field) {',
+  '      return match;',
+  '    }',
+  '    return name ? encodeURIComponent(field.value) : encodeURI(field.value);',
+  '  });',
+  '  var query = [];',
+  '  for (var i = 0; i < fields.length; i++) {',
+  '    var name = fields[i].name || \'\';',
+  '    if (name.indexOf(\'query:\') === 0 && fields[i].value) {',
+  '      query.push(encodeURIComponent(name.slice(6)) + \'=\' +',
+  '        encodeURIComponent(fields[i].value));',
+  '    }',
+  '  }',
+  '  var init = { method: form.dataset.method, headers: {} };',
+  '  fields.headers.value.split(\'\\n\').forEach(function (line) {',
+  '    var separator = line.indexOf(\':\');',
+  '    if (separator > 0) {',
+  '      init.headers[line.slice(0, separator).trim()] =',
+  '        line.slice(separator + 1).trim();',
+  '    }',
+  '  });',
+  '  if (fields.body && fields.body.value) {',
+  '    init.body = fields.body.value;',
+  '  }',
+  '  var output = form.querySelector(\'.try-it-response\');',
+  '  output.hidden = false;',
+  '  output.textContent = \'Sending…\';',
+  '  fetch(form.dataset.baseUrl + path +',
+  '    (query.length > 0 ? \'?\' + query.join(\'&\') : \'\'), init)',
+  '    .then(function (response) {',
+  '      return response.text().then(function (body) {',
+  '        var text = \'Status: \' + response.status + \' \' +',
+  '          response.statusText + \'\\n\';',
+  '        response.headers.forEach(function (value, name) {',
+  '          text += name + \': \' + value + \'\\n\';',
+  '        });',
+  '        output.textContent = text + (body ? \'\\n\' + body : \'\');',
+  '      });',
+  '    })',
+  '    .catch(function (error) {',
+  '      output.textContent = \'Error: \' + error.message;',
+  '    });',
+  '});'
+].join('\n');
+
+// Get a Markdown table of contents from documentation headings, like `{ level:
+// 1, id: 'items', title: 'Items' }` (request handler headings have a
+// `method`), or an empty string if there are none.
+function getMarkdownTableOfContents (sections) {
+  var isNested = false;
+  return sections.map(function (section) {
+    var link = '[' + section.title + '](#' + section.id + ')' +
+      (section.method ? ' `' + section.method.toUpperCase() + '`' : '');
+    if (section.level === 1) {
+      isNested = true;
+      return '- ' + link + '\n';
+    }
+    return (isNested ? '  - ' : '- ') + link + '\n';
+  }).join('');
+}
+
+// Default template for HTML documentation pages.
+var htmlPageTemplate = [
+  '<!DOCTYPE html>',
+  '<html lang="en">',
+  '<head>',
+  '<meta charset="utf-8">',
+  '<meta name="viewport" content="width=device-width, initial-scale=1">',
+  '<title>{{title}}</title>',
+  '<style>',
+  '{{style}}',
+  '</style>',
+  '</head>',
+  '<body>',
+  '<nav>',
+  '{{toc}}',
+  '</nav>',
+  '<main>',
+  '{{content}}',
+  '</main>',
+  '</body>',
+  '</html>',
+  ''
+].join('\n');
+
+// Default CSS for HTML documentation pages.
+var htmlPageStyle = [
+  'body { display: flex; margin: 0; color: #222; line-height: 1.5;',
+  '  font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; }',
+  'nav { flex: 0 0 18em; height: 100vh; position: sticky; top: 0;',
+  '  overflow: auto; padding: 1em; box-sizing: border-box;',
+  '  background: #f6f8fa; border-right: 1px solid #ddd; }',
+  'nav ul { list-style: none; margin: 0; padding-left: 0; }',
+  'nav ul ul { padding-left: 1em; font-size: 0.9em; }',
+  'nav a { color: inherit; text-decoration: none; }',
+  'nav a:hover { text-decoration: underline; }',
+  'main { flex: 1; min-width: 0; max-width: 60em; padding: 1em 2em; }',
+  'h2 { margin-top: 2em; border-bottom: 1px solid #eee; }',
+  'pre { overflow: auto; padding: 0.75em; background: #f6f8fa;',
+  '  border-radius: 4px; }',
+  'table { border-collapse: collapse; }',
+  'th, td { padding: 0.25em 0.75em; border: 1px solid #ddd;',
+  '  text-align: left; }',
+  '.method { display: inline-block; min-width: 4em; padding: 0 0.25em;',
+  '  border-radius: 3px; color: #fff; background: #6a737d;',
+  '  font: bold 0.75em monospace; text-align: center; }',
+  '.method-get { background: #2b7bb9; }',
+  '.method-post { background: #28a745; }',
+  '.method-put, .method-patch { background: #d18b00; }',
+  '.method-delete { background: #cb2431; }',
+  '.try-it { margin: 1em 0; padding: 0 1em 1em; border: 1px solid #ddd;',
+  '  border-radius: 4px; }',
+  '.try-it label { display: block; margin-bottom: 0.5em; }',
+  '.try-it input, .try-it textarea { display: block; width: 100%;',
+  '  box-sizing: border-box; font-family: monospace; }',
+  '.try-it textarea { min-height: 4em; }'
+].join('\n');
+
+// Stringify Objects, leave non-Objects untouched (e.g. Strings).
+function jsonStringifyIfObject (value) {
+  if (!(value instanceof Object)) {
+    return value;
+  }
+  return JSON.stringify(value, options.jsonStringifyReplacer,
+    options.jsonStringifySpaces);
+}
+
+// Replace URL parameters like ':param' or '*' with the provided example values.
+function replaceUrlParameters (url, urlParameters) {
+  var replacedUrl = url;
+  for (var urlParameter in urlParameters) {
+    var regex = (urlParameter === '*'
+      ? new RegExp('\\*') // The first occurrence of the literal character '*'.
+      : new RegExp(':' + urlParameter, 'g')); // All occurrences of `:param`.
+    var urlValue = urlParameters[urlParameter];
+    replacedUrl = replacedUrl.replace(regex, urlValue);
+  }
+  return replacedUrl;
+}
+
+// Build a query string from query parameters (e.g. 'q=search&page=2').
+function getQueryString (queryParameters) {
+  var queryPairs = [];
+  for (var queryParameter in queryParameters) {
+    var queryValue = queryParameters[queryParameter];
+    queryPairs.push(encodeURIComponent(queryParameter) +
+      (queryValue ? '=' + encodeURIComponent(queryValue) : ''));
+  }
+  return queryPairs.join('&');
+}
+
+// Describe an example's request and response as text (like HTTP messages) for
+// documentation, or `null` for parts without explicit values.
+function getExampleMessages (method, path, example) {
+  var messages = { request: null, response: null };
+
+  var request = example.request || {};
+  if (request.method || request.urlParameters || request.queryParameters ||
+      request.headers || request.body) {
+    var exampleURL = (request.method || method).toUpperCase() + ' ' + path;
+    if (request.urlParameters) {
+      exampleURL = replaceUrlParameters(exampleURL, request.urlParameters);
+    }
+    if (request.queryParameters) {
+      exampleURL += '?' + getQueryString(request.queryParameters);
+    }
+    messages.request = exampleURL + '\n';
+    var requestHeaders = request.headers || {};
+    for (var header in requestHeaders) {
+      messages.request += header + ': ' + requestHeaders[header] + '\n';
+    }
+    if (request.body) {
+      messages.request += '\n' + jsonStringifyIfObject(request.body).trim() +
+        '\n';
+    }
+  }
+
+  var response = example.response || {};
+  var hasResponseStatus = isExplicitExample(response.status);
+  var hasResponseBody = isExplicitExample(response.body);
+  if (hasResponseStatus || response.headers || hasResponseBody) {
+    messages.response = '';
+    if (hasResponseStatus) {
+      var message = http.STATUS_CODES[response.status];
+      messages.response += 'Status: ' + response.status + ' ' + message + '\n';
+    }
+    var responseHeaders = response.headers || {};
+    for (var header in responseHeaders) {
+      var value = responseHeaders[header];
+      if (isExplicitExample(value)) {
+        messages.response += header + ': ' + value + '\n';
+      }
+    }
+    if (hasResponseBody) {
+      if (hasResponseStatus || Object.keys(responseHeaders).length > 0) {
+        messages.response += '\n';
+      }
+      messages.response += jsonStringifyIfObject(response.body).trim() + '\n';
+    }
+  }
+
+  return messages;
+}
+
+// Indent text as a Markdown code block.
+function indentCode (text) {
+  return text.replace(/\n$/, '').split('\n').map(function (line) {
+    return '    ' + line;
+  }).join('\n') + '\n';
+}
+
+// Stringify everything, including Function bodies (optionally on one line).
+function jsonStringifyWithFunctions (value, spaces) {
+  function replacer (key, value) {
+    if (typeof value === 'function') {
+      // Stringify this function, and slightly minify it.
+      value = String(value).replace(/\s+/g, ' ');
+    }
+    if (!options.jsonStringifyReplacer) {
+      return value;
+    }
+    return options.jsonStringifyReplacer(key, value);
+  }
+  return JSON.stringify(value, replacer,
+    spaces === undefined ? options.jsonStringifySpaces : spaces);
+}
+
+// Determine if an example value is defined, but not a function.
+function isExplicitExample (value) {
+  return !!value && typeof value !== 'function';
+}
+
+// Call `callback(resource, fullPath)` for each resource in an API tree.
+function forEachResource (api, basePath, callback) {
+  var fullPath = normalizePath(api.path, basePath) || '/';
+  callback(api, fullPath);
+  for (var path in api.children) {
+    forEachResource(api.children[path], fullPath, callback);
+  }
+}
+
+// Call `callback(resource, method, handler, fullPath)` for each request handler
+// in an API resource tree.
+function forEachHandler (api, basePath, callback) {
+  var fullPath = normalizePath(api.path, basePath) || '/';
+  for (var method in api.handlers) {
+    callback(api, method, api.handlers[method], fullPath);
+  }
+  for (var path in api.children) {
+    forEachHandler(api.children[path], fullPath, callback);
+  }
+}
+
+// List the response status codes exercised by request handler examples (e.g.
+// `[ 200, 404 ]`), except those checked by functions.
+function getExampleStatusCodes (examples) {
+  var statusCodes = [];
+  examples.forEach(function (example) {
+    var status = (example.response || {}).status || 200;
+    if (typeof status === 'number' && statusCodes.indexOf(status) < 0) {
+      statusCodes.push(status);
+    }
+  });
+  return statusCodes.sort(function (a, b) {
+    return a - b;
+  });
+}
+
+// List all possible response status codes of a request handler (from its
+// examples and declared responses), as rows like `{ status: 404, description:
+// 'Not Found' }`.
+function getStatusCodeRows (handler) {
+  var responses = handler.responses || {};
+  var statusCodes = getExampleStatusCodes(handler.examples || []);
+  for (var status in responses) {
+    if (/^\d{3}$/.test(status) && statusCodes.indexOf(Number(status)) < 0) {
+      statusCodes.push(Number(status));
+    }
+  }
+  return statusCodes.sort(function (a, b) {
+    return a - b;
+  }).map(function (status) {
+    var declaration = responses[status] || {};
+    return {
+      status: status,
+      description: declaration.description || http.STATUS_CODES[status] || ''
+    };
+  });
+}
+
+// Format an API coverage report as a text table.
+function formatCoverageReport (report) {
+  function mark (value) {
+    return value ? '✓' : '✗';
+  }
+  var rows = [
+    [ 'Method', 'Path', 'Title', 'Description', 'Examples', 'Parameters',
+      'Status codes' ]
+  ];
+  report.routes.forEach(function (route) {
+    var statusCodes = route.statusCodes.map(String).concat(
+      route.untestedStatusCodes.map(function (status) {
+        return '(' + status + ')';
+      }));
+    rows.push([
+      route.method,
+      route.path,
+      mark(route.title),
+      mark(route.description),
+      route.examples > 0 ? String(route.examples) : mark(false),
+      mark(route.parameters),
+      statusCodes.join(' ')
+    ]);
+  });
+
+  var widths = rows[0].map(function (cell, column) {
+    return Math.max.apply(Math, rows.map(function (row) {
+      return row[column].length;
+    }));
+  });
+  var lines = rows.map(function (row) {
+    return row.map(function (cell, column) {
+      var padding = column < row.length - 1
+        ? new Array(widths[column] - cell.length + 3).join(' ')
+        : '';
+      return cell + padding;
+    }).join('').trim();
+  });
+  lines.push('');
+  if (report.routes.some(function (route) {
+    return route.untestedStatusCodes.length > 0;
+  })) {
+    lines.push('(Declared status codes without examples are in parentheses.)');
+  }
+  lines.push('Coverage: ' + report.percentage + '%');
+  return lines.join('\n');
+}
+
+// List the names of URL parameters like ':param' or '*' in a path. Unnamed
+// parameters are numbered in order of appearance (e.g. '0').
+function getUrlParameterNames (path) {
+  var names = [];
+  var wildcards = 0;
+  String(path).replace(/:(\w+)|\*/g, function (match, name) {
+    names.push(name || String(wildcards++));
+    return match;
+  });
+  return names;
+}
+
+// Get an example value for a named URL parameter (e.g. 'param', or '0' for
+// the first '*').
+function getUrlParameterExample (urlParameters, name) {
+  if (name in urlParameters) {
+    return urlParameters[name];
+  }
+  if (name === '0' && ('*' in urlParameters)) {
+    return urlParameters['*'];
+  }
+  return undefined;
+}
+
+// Convert URL parameters like ':param' or '*' into OpenAPI path templates like
+// '{param}' or '{0}'.
+function toOpenAPIPath (path) {
+  var names = getUrlParameterNames(path);
+  var i = 0;
+  return String(path).replace(/:(\w+)|\*/g, function () {
+    return '{' + names[i++] + '}';
+  });
+}
+
+// Name an example so that its request and response parts can be matched up
+// across an OpenAPI document.
+function getOpenAPIExampleKey (index) {
+  return 'example' + (index + 1);
+}
+
+// Get the OpenAPI media type and example value of an example body.
+function getOpenAPIMedia (body) {
+  var value = parseIfJSON(body);
+  if (value instanceof Object) {
+    return { type: 'application/json', value: value };
+  }
+  return { type: 'text/plain', value: String(body) };
+}
+
+// Add an example body to an OpenAPI request body or response object.
+function addOpenAPIMediaExample (object, key, body) {
+  var media = getOpenAPIMedia(body);
+  object.content = object.content || {};
+  var content = object.content[media.type] || {};
+  content.examples = content.examples || {};
+  object.content[media.type] = content;
+  content.examples[key] = { value: media.value };
+}
+
+// Describe a request handler as an OpenAPI operation.
+function getOpenAPIOperation (resource, method, handler, path) {
+  var operation = {};
+  if (handler.title) {
+    operation.summary = handler.title;
+  }
+  if (handler.description) {
+    operation.description = handler.description;
+  }
+  if (resource.title) {
+    operation.tags = [ resource.title ];
+  }
+  if (handler.deprecated) {
+    operation.deprecated = true;
+  }
+
+  var examples = handler.examples || [];
+  var declarations = handler.parameters || {};
+  var parameters = [];
+  var parametersByName = {};
+
+  function getParameter (location, name) {
+    var key = location + ':' + name;
+    if (!parametersByName[key]) {
+      parametersByName[key] = {
+        name: name,
+        in: location,
+        required: location === 'path',
+        schema: { type: 'string' }
+      };
+      parameters.push(parametersByName[key]);
+    }
+    return parametersByName[key];
+  }
+
+  function addParameterExample (location, name, index, value) {
+    var parameter = getParameter(location, name);
+    parameter.examples = parameter.examples || {};
+    parameter.examples[getOpenAPIExampleKey(index)] = { value: String(value) };
+  }
+
+  // Document URL parameters like ':param' or '*' as path parameters.
+  var urlSchemas = (declarations.urlParameters || {}).properties || {};
+  getUrlParameterNames(path).forEach(function (name) {
+    var parameter = getParameter('path', name);
+    var schema = urlSchemas[name] || (name === '0' && urlSchemas['*']);
+    if (schema) {
+      setOpenAPIParameterSchema(parameter, schema);
+    }
+    examples.forEach(function (example, index) {
+      var request = example.request || {};
+      var value = getUrlParameterExample(request.urlParameters || {}, name);
+      if (value !== undefined) {
+        addParameterExample('path', name, index, value);
+      }
+    });
+  });
+
+  // Document declared query and header parameters.
+  [
+    [ 'query', declarations.queryParameters ],
+    [ 'header', declarations.headers ]
+  ].forEach(function (declaration) {
+    var schema = declaration[1] || {};
+    var required = schema.required || [];
+    for (var name in schema.properties) {
+      var parameter = getParameter(declaration[0], name);
+      parameter.required = required.indexOf(name) > -1;
+      setOpenAPIParameterSchema(parameter, schema.properties[name]);
+    }
+  });
+
+  // Document query parameters that appear in examples.
+  examples.forEach(function (example, index) {
+    var request = example.request || {};
+    for (var name in request.queryParameters) {
+      addParameterExample('query', name, index, request.queryParameters[name]);
+    }
+  });
+
+  if (parameters.length > 0) {
+    operation.parameters = parameters;
+  }
+
+  // Document request bodies and responses, keyed by status code.
+  var responses = {};
+  examples.forEach(function (example, index) {
+    var key = getOpenAPIExampleKey(index);
+
+    var request = example.request || {};
+    if ('body' in request) {
+      operation.requestBody = operation.requestBody || {};
+      addOpenAPIMediaExample(operation.requestBody, key, request.body);
+    }
+
+    var response = example.response || {};
+    var status = (typeof response.status === 'function'
+      ? 'default'
+      : String(response.status || 200));
+    var responseObject = responses[status] || {
+      description: http.STATUS_CODES[status] || 'Default response'
+    };
+    responses[status] = responseObject;
+    var responseHeaders = response.headers || {};
+    for (var header in responseHeaders) {
+      var headerValue = responseHeaders[header];
+      if (isExplicitExample(headerValue)) {
+        responseObject.headers = responseObject.headers || {};
+        responseObject.headers[header] = {
+          schema: { type: 'string' },
+          example: String(headerValue)
+        };
+      }
+    }
+    if (isExplicitExample(response.body)) {
+      addOpenAPIMediaExample(responseObject, key, response.body);
+    }
+  });
+
+  // Document the declared request body.
+  if (declarations.body) {
+    var requestBody = operation.requestBody || {};
+    requestBody.required = true;
+    requestBody.content = requestBody.content || {};
+    var content = requestBody.content['application/json'] || {};
+    content.schema = declarations.body;
+    requestBody.content['application/json'] = content;
+    operation.requestBody = requestBody;
+  }
+
+  // Document the declared responses.
+  var declaredResponses = handler.responses || {};
+  for (var declaredStatus in declaredResponses) {
+    var declaration = declaredResponses[declaredStatus];
+    var declaredResponse = responses[declaredStatus] || {
+      description: http.STATUS_CODES[declaredStatus] || 'Default response'
+    };
+    responses[declaredStatus] = declaredResponse;
+    if (declaration.description) {
+      declaredResponse.description = declaration.description;
+    }
+    for (var declaredHeader in declaration.headers) {
+      declaredResponse.headers = declaredResponse.headers || {};
+      var headerObject = declaredResponse.headers[declaredHeader] || {};
+      headerObject.required = true;
+      headerObject.schema = declaration.headers[declaredHeader];
+      declaredResponse.headers[declaredHeader] = headerObject;
+    }
+    if (declaration.body) {
+      var types = [].concat(declaration.body.type || []);
+      var type = (types.length === 1 && types[0] === 'string'
+        ? 'text/plain'
+        : 'application/json');
+      declaredResponse.content = declaredResponse.content || {};
+      var media = declaredResponse.content[type] || {};
+      media.schema = declaration.body;
+      declaredResponse.content[type] = media;
+    }
+  }
+
+  if (Object.keys(responses).length === 0) {
+    responses['default'] = { description: 'Default response' };
+  }
+  operation.responses = responses;
+
+  return operation;
+}
+
+// Describe an authentication scheme as a named OpenAPI security scheme, like
+// `{ name: 'apiKey', scheme: { type: 'apiKey', in: 'header', name: 'X-API-Key'
+// } }`.
+function getOpenAPISecurityScheme (auth) {
+  var name = auth.type;
+  var scheme = null;
+  switch (auth.type) {
+    case 'bearer':
+    case 'basic':
+      scheme = { type: 'http', scheme: auth.type };
+      break;
+    case 'apiKey':
+      if (auth.header !== authSchemes.apiKey.header) {
+        name += '_' + auth.header;
+      }
+      scheme = { type: 'apiKey', in: 'header', name: auth.header };
+      break;
+    case 'cookie':
+      if (auth.cookie !== authSchemes.cookie.cookie) {
+        name += '_' + auth.cookie;
+      }
+      scheme = { type: 'apiKey', in: 'cookie', name: auth.cookie };
+      break;
+  }
+  if (auth.description) {
+    scheme.description = auth.description;
+  }
+  return { name: name.replace(/[^\w.-]/g, '_'), scheme: scheme };
+}
+
+// Set the schema (and description) of an OpenAPI parameter.
+function setOpenAPIParameterSchema (parameter, schema) {
+  parameter.schema = schema;
+  if (schema.description) {
+    parameter.description = schema.description;
+  }
+}
+
+// Resolve a local OpenAPI reference like '#/components/schemas/Item'.
+function resolveOpenAPIReference (spec, object) {
+  var references = [];
+  while (object && typeof object.$ref === 'string') {
+    var reference = object.$ref;
+    if (reference.indexOf('#/') !== 0) {
+      throw new Error('Unsupported OpenAPI reference: ' + reference);
+    }
+    if (references.indexOf(reference) > -1) {
+      throw new Error('Circular OpenAPI reference: ' + reference);
+    }
+    references.push(reference);
+    object = reference.slice(2).split('/').reduce(function (value, token) {
+      token = decodeURIComponent(token).replace(/~1/g, '/').replace(/~0/g, '~');
+      return value ? value[token] : undefined;
+    }, spec);
+  }
+  return object;
+}
+
+// Convert OpenAPI path templates like '{param}' into URL parameters like
+// ':param' (or '*' for unnamed parameters like '{0}').
+function fromOpenAPIPath (path) {
+  return String(path).replace(/\{([^}]+)\}/g, function (match, name) {
+    return fromOpenAPIParameterName(name);
+  });
+}
+
+// Convert an OpenAPI path parameter name into a URL parameter like ':param'.
+function fromOpenAPIParameterName (name) {
+  return /^\d+$/.test(name) ? '*' : ':' + name.replace(/\W/g, '_');
+}
+
+// Collect the example values of an OpenAPI object by example name.
+function getOpenAPIExamples (spec, object) {
+  var values = {};
+  if (object.examples) {
+    for (var key in object.examples) {
+      var example = resolveOpenAPIReference(spec, object.examples[key]);
+      if (example && ('value' in example)) {
+        values[key] = example.value;
+      }
+    }
+  } else if ('example' in object) {
+    values['example'] = object.example;
+  }
+  return values;
+}
+
+// Collect the example values of an OpenAPI request body or response object.
+function getOpenAPIMediaExamples (spec, object) {
+  var values = {};
+  var content = object.content || {};
+  for (var type in content) {
+    var mediaExamples = getOpenAPIExamples(spec, content[type] || {});
+    for (var key in mediaExamples) {
+      if (!(key in values)) {
+        values[key] = mediaExamples[key];
+      }
+    }
+  }
+  return values;
+}
+
+// Convert the examples of an OpenAPI operation into request handler examples.
+function fromOpenAPIExamples (spec, parameters, operation) {
+  var examples = {};
+  function getExample (key) {
+    if (!examples[key]) {
+      examples[key] = { request: {}, response: {} };
+    }
+    return examples[key];
+  }
+
+  if (operation.requestBody) {
+    var requestBody = resolveOpenAPIReference(spec, operation.requestBody);
+    var requestBodies = getOpenAPIMediaExamples(spec, requestBody);
+    for (var requestKey in requestBodies) {
+      getExample(requestKey).request.body = requestBodies[requestKey];
+    }
+  }
+
+  var responses = operation.responses || {};
+  for (var status in responses) {
+    var response = resolveOpenAPIReference(spec, responses[status]);
+    var responseBodies = getOpenAPIMediaExamples(spec, response);
+    for (var responseKey in responseBodies) {
+      var example = getExample(responseKey);
+      if (/^\d{3}$/.test(status)) {
+        example.response.status = Number(status);
+      }
+      example.response.body = responseBodies[responseKey];
+    }
+  }
+
+  parameters.forEach(function (parameter) {
+    var values = getOpenAPIExamples(spec, parameter);
+    var keys = Object.keys(values);
+    var fields = {
+      path: 'urlParameters',
+      query: 'queryParameters',
+      header: 'headers'
+    };
+    if (!fields[parameter.in] || keys.length === 0) {
+      return;
+    }
+
+    // A single unnamed parameter example applies to all examples.
+    if (keys.length === 1 && keys[0] === 'example' && !examples['example']) {
+      var exampleKeys = Object.keys(examples);
+      if (exampleKeys.length > 0) {
+        keys = exampleKeys;
+        values = {};
+        keys.forEach(function (key) {
+          values[key] = parameter.example;
+        });
+      }
+    }
+
+    var name = parameter.name;
+    if (parameter.in === 'path') {
+      name = fromOpenAPIParameterName(name).replace(/^:/, '');
+    }
+    keys.forEach(function (key) {
+      var request = getExample(key).request;
+      var field = fields[parameter.in];
+      request[field] = request[field] || {};
+      request[field][name] = values[key];
+    });
+  });
+
+  return Object.keys(examples).map(function (key) {
+    return examples[key];
+  });
+}
+
+// Inline all local references of an OpenAPI schema, so that it can be used as
+// a standalone JSON Schema. Circular references are replaced with `{}`.
+function dereferenceOpenAPISchema (spec, schema, references) {
+  references = references || [];
+  if (!schema || typeof schema !== 'object') {
+    return schema;
+  }
+  if (typeof schema.$ref === 'string') {
+    if (references.indexOf(schema.$ref) > -1) {
+      return {};
+    }
+    return dereferenceOpenAPISchema(spec, resolveOpenAPIReference(spec, schema),
+      references.concat(schema.$ref));
+  }
+  var dereferenced = Array.isArray(schema) ? [] : {};
+  for (var key in schema) {
+    dereferenced[key] = dereferenceOpenAPISchema(spec, schema[key], references);
+  }
+  return dereferenced;
+}
+
+// Convert the parameters and request body of an OpenAPI operation into request
+// parameter declarations (or `null` if nothing is declared).
+function fromOpenAPIParameters (spec, parameters, operation) {
+  var declarations = {};
+  var fields = {
+    path: 'urlParameters',
+    query: 'queryParameters',
+    header: 'headers'
+  };
+
+  parameters.forEach(function (parameter) {
+    var field = fields[parameter.in];
+    if (!field || !parameter.schema) {
+      return;
+    }
+    var name = parameter.name;
+    if (parameter.in === 'path') {
+      name = fromOpenAPIParameterName(name).replace(/^:/, '');
+    }
+    var schema = dereferenceOpenAPISchema(spec, parameter.schema);
+    if (parameter.description && !schema.description) {
+      schema.description = parameter.description;
+    }
+    var declaration = declarations[field] || { type: 'object', properties: {} };
+    declarations[field] = declaration;
+    declaration.properties[name] = schema;
+    if (parameter.required) {
+      declaration.required = (declaration.required || []).concat(name);
+    }
+  });
+
+  if (operation.requestBody) {
+    var requestBody = resolveOpenAPIReference(spec, operation.requestBody);
+    var content = requestBody.content || {};
+    for (var type in content) {
+      if (type.indexOf('json') > -1 && content[type].schema) {
+        declarations.body =
+          dereferenceOpenAPISchema(spec, content[type].schema);
+        break;
+      }
+    }
+  }
+
+  return Object.keys(declarations).length > 0 ? declarations : null;
+}
+
+// Convert the responses of an OpenAPI operation into response declarations (or
+// `null` if no response has a schema).
+function fromOpenAPIResponses (spec, operation) {
+  var declarations = {};
+  var responses = operation.responses || {};
+  for (var status in responses) {
+    var response = resolveOpenAPIReference(spec, responses[status]);
+    var declaration = {};
+
+    var headers = response.headers || {};
+    for (var header in headers) {
+      var headerObject = resolveOpenAPIReference(spec, headers[header]);
+      if (headerObject.required && headerObject.schema) {
+        declaration.headers = declaration.headers || {};
+        declaration.headers[header] =
+          dereferenceOpenAPISchema(spec, headerObject.schema);
+      }
+    }
+
+    var content = response.content || {};
+    for (var type in content) {
+      if (content[type].schema) {
+        declaration.body = dereferenceOpenAPISchema(spec, content[type].schema);
+        break;
+      }
+    }
+
+    if (declaration.headers || declaration.body) {
+      if (response.description) {
+        declaration.description = response.description;
+      }
+      // Range keys are upper case (e.g. '4XX'), but 'default' isn't.
+      var key = /^\dxx$/i.test(status) ? status.toUpperCase() : status;
+      declarations[key] = declaration;
+    }
+  }
+  return Object.keys(declarations).length > 0 ? declarations : null;
+}
+
+// Create a placeholder request handler that responds with "501 Not
+// Implemented", until another handler replaces it.
+function getStubHandler (resource, method) {
+  return function stub (request, response) {
+    var current = resource.handlers[method];
+    if (current && current.handler !== stub) {
+      return getRequestHandler(current).apply(this, arguments);
+    }
+    response.statusCode = 501;
+    response.end(http.STATUS_CODES[501]);
+  };
+}
+
+// Get the authentication scheme of OpenAPI security requirements (e.g.
+// 'bearer', or `false` if none is required), or `undefined` if it isn't
+// supported (like OAuth 2.0, or API keys in query parameters).
+function fromOpenAPISecurity (spec, security) {
+  if (security.length === 0) {
+    return false;
+  }
+  var securitySchemes = (spec.components || {}).securitySchemes || {};
+  var names = Object.keys(security[0] || {});
+  if (names.length === 0) {
+    return false;
+  }
+  var scheme = resolveOpenAPIReference(spec, securitySchemes[names[0]]) || {};
+  var auth;
+  if (scheme.type === 'http' && /^(bearer|basic)$/i.test(scheme.scheme)) {
+    auth = { type: scheme.scheme.toLowerCase() };
+  } else if (scheme.type === 'apiKey' && scheme.in === 'header') {
+    auth = { type: 'apiKey', header: scheme.name };
+  } else if (scheme.type === 'apiKey' && scheme.in === 'cookie') {
+    auth = { type: 'cookie', cookie: scheme.name };
+  } else {
+    return undefined;
+  }
+  if (scheme.description) {
+    auth.description = scheme.description;
+  }
+  return auth;
+}
+
+// Get the base path of the API described by an OpenAPI document, from its
+// first server URL (e.g. '/v1' for 'https://{host}/v1'), or `null`.
+function getOpenAPIBasePath (spec) {
+  var server = (spec.servers || [])[0];
+  if (!server || typeof server.url !== 'string') {
+    return null;
+  }
+  var variables = server.variables || {};
+  var serverUrl = server.url.replace(/\{([^}]+)\}/g, function (match, name) {
+    return String((variables[name] || {}).default || '');
+  });
+  var pathname = url.parse(serverUrl).pathname || '';
+  return normalizePath(pathname.replace(/\/+$/, ''));
+}
+
+// Build an API tree from an OpenAPI 3 document, with a stub request handler for
+// each operation.
+function fromOpenAPI (spec, parent) {
+  if (!spec || typeof spec.paths !== 'object') {
+    throw new Error('Invalid OpenAPI document: missing "paths"');
+  }
+
+  var info = spec.info || {};
+  var basePath = getOpenAPIBasePath(spec);
+  var api = parent;
+  // Without a base path, add routes to parent API resources directly, instead
+  // of replacing their child at `null`.
+  if (basePath || !(parent instanceof API)) {
+    api = selfapi({
+      parent: parent,
+      path: basePath,
+      title: info.title,
+      description: info.description
+    });
+  }
+
+  for (var openAPIPath in spec.paths) {
+    var pathItem = resolveOpenAPIReference(spec, spec.paths[openAPIPath]);
+    var path = normalizePath(fromOpenAPIPath(openAPIPath));
+    var resource = api;
+    if (path) {
+      resource = api.children[path] || api.api(path, {
+        title: pathItem.summary,
+        description: pathItem.description
+      });
+    }
+
+    API.prototype.methods.forEach(function (method) {
+      var operation = pathItem[method];
+      if (!operation) {
+        return;
+      }
+
+      var parameters = (pathItem.parameters || [])
+        .concat(operation.parameters || [])
+        .map(function (parameter) {
+          return resolveOpenAPIReference(spec, parameter);
+        });
+
+      var handler = {
+        title: operation.summary || operation.operationId,
+        description: operation.description,
+        handler: getStubHandler(resource, method),
+        examples: fromOpenAPIExamples(spec, parameters, operation)
+      };
+      var declarations = fromOpenAPIParameters(spec, parameters, operation);
+      if (declarations) {
+        handler.parameters = declarations;
+      }
+      var responses = fromOpenAPIResponses(spec, operation);
+      if (responses) {
+        handler.responses = responses;
+      }
+      if (operation.deprecated) {
+        handler.deprecated = true;
+      }
+      var security = operation.security || spec.security;
+      var auth = security ? fromOpenAPISecurity(spec, security) : undefined;
+      if (auth !== undefined) {
+        handler.auth = auth;
+      }
+      resource.addHandler(method, handler);
+    });
+  }
+
+  return api;
+}
+
+// Create a plain Node.js server that serves an API tree, using a minimal
+// built-in router.
+function createServer (api) {
+  var server = http.createServer();
+  if (api) {
+    api.parent = server;
+  }
+  return server;
 }
 
 // Exported `selfapi` function to create an API tree.
@@ -730,5 +5003,10 @@ function selfapi (/* parent, …overrides, child */) {
 }
 
 selfapi.API = API;
+selfapi.any = any;
+selfapi.createServer = createServer;
+selfapi.fromOpenAPI = fromOpenAPI;
 selfapi.options = options;
+selfapi.registerAdapter = registerAdapter;
+selfapi.reporters = reporters;
 module.exports = selfapi;
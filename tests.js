@@ -1,9 +1,14 @@
 // Copyright © 2016 Jan Keromnes. All rights reserved.
 // The following code is covered by the MIT license.
 
+var KoaRouter = require('@koa/router');
+var childProcess = require('child_process');
 var express = require('express');
+var Fastify = require('fastify');
 var http = require('http');
+var Koa = require('koa');
 var net = require('net');
+var url = require('url');
 
 var selfapi = require('./selfapi');
 
@@ -29,8 +34,14 @@ tests.push({
     var app = fakeServer();
     selfapi(app, '/api', api);
 
-    // Verify the parent knows about the pre-existing handler.
-    if (app.handlers['get']['/api'] !== parameters.handler) {
+    // Verify the parent knows about the pre-existing handler (which is
+    // exported behind any middleware of its API resource).
+    var exported = app.handlers['get']['/api'];
+    var body = null;
+    if (typeof exported === 'function') {
+      exported({}, { end: function (data) { body = data; } });
+    }
+    if (body !== 'ok') {
       var handlers = jsonStringifyWithFunctions(app.handlers);
       callback(new Error('/api handler not in: ' + handlers));
       return;
@@ -462,30 +473,2791 @@ tests.push({
   }
 });
 
-/*
 tests.push({
-  title: '',
+  title: 'OpenAPI export',
 
   test: function (port, callback) {
-    // test some things
-    // callback(error);
+    // Create a new API without a parent.
+    var api = selfapi('/api', 'Items API');
+
+    // Add request handlers with URL parameters and examples.
+    api.get('/items/:id', {
+      title: 'Show an item',
+      handler: function (request, response) { response.end('ok'); },
+      examples: [{
+        request: {
+          urlParameters: { id: '42' },
+          queryParameters: { fields: 'name' }
+        },
+        response: {
+          body: { id: 42, name: 'My Item' }
+        }
+      }, {
+        request: {
+          urlParameters: { id: '0' }
+        },
+        response: {
+          status: 404,
+          body: 'Not Found'
+        }
+      }]
+    });
+    api.put('/files/*', {
+      title: 'Upload a file',
+      handler: function (request, response) { response.end('ok'); },
+      examples: [{
+        request: {
+          urlParameters: { '*': 'docs/readme.txt' },
+          body: 'Hello'
+        },
+        response: {
+          status: 201
+        }
+      }]
+    });
+
+    var document = api.toOpenAPI();
+    if (document.openapi.indexOf('3.') !== 0 ||
+        document.info.title !== 'Items API') {
+      callback(new Error('Invalid OpenAPI header: ' +
+        JSON.stringify(document, null, 2)));
+      return;
+    }
+
+    var show = (document.paths['/api/items/{id}'] || {}).get;
+    var upload = (document.paths['/api/files/{0}'] || {}).put;
+    if (!show || !upload) {
+      callback(new Error('Missing OpenAPI paths: ' +
+        Object.keys(document.paths).join(', ')));
+      return;
+    }
+
+    var checks = [
+      [ show.summary, 'Show an item' ],
+      [ show.parameters[0].name, 'id' ],
+      [ show.parameters[0].in, 'path' ],
+      [ show.parameters[0].examples.example1.value, '42' ],
+      [ show.parameters[1].name, 'fields' ],
+      [ show.parameters[1].in, 'query' ],
+      [ show.responses['200'].content['application/json']
+        .examples.example1.value.name, 'My Item' ],
+      [ show.responses['404'].content['text/plain']
+        .examples.example2.value, 'Not Found' ],
+      [ upload.parameters[0].examples.example1.value, 'docs/readme.txt' ],
+      [ upload.requestBody.content['text/plain']
+        .examples.example1.value, 'Hello' ],
+      [ upload.responses['201'].description, 'Created' ]
+    ];
+
+    for (var i = 0; i < checks.length; i++) {
+      if (checks[i][0] !== checks[i][1]) {
+        callback(new Error('Expected \'' + checks[i][1] + '\' but got \'' +
+          checks[i][0] + '\' in:\n' + JSON.stringify(document, null, 2)));
+        return;
+      }
+    }
+
+    callback();
   }
 });
-*/
 
-// TODO test all ways to create API resources
-// TODO test that documentation works
-// TODO test with restify and scoutcamp
+tests.push({
+  title: 'OpenAPI import',
 
-function jsonStringifyWithFunctions (value) {
-  function replacer (key, value) {
-    if (typeof value === 'function') {
-      // Stringify this function, and slightly minify it.
-      value = String(value).replace(/\s+/g, ' ');
+  test: function (port, callback) {
+    var spec = {
+      openapi: '3.0.3',
+      info: { title: 'Pets API', version: '1.0.0' },
+      paths: {
+        '/pets/{petId}': {
+          summary: 'Pets',
+          parameters: [{ $ref: '#/components/parameters/petId' }],
+          get: {
+            summary: 'Show a pet',
+            description: 'Show a pet by its ID.',
+            responses: {
+              '200': {
+                description: 'OK',
+                content: {
+                  'application/json': {
+                    examples: {
+                      rex: { value: { name: 'Rex' } }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          delete: {
+            operationId: 'deletePet',
+            responses: { '204': { description: 'No Content' } }
+          }
+        }
+      },
+      components: {
+        parameters: {
+          petId: {
+            name: 'petId',
+            in: 'path',
+            required: true,
+            examples: { rex: { value: '1' } }
+          }
+        }
+      }
+    };
+
+    // Create a new API from the OpenAPI document, using Express.
+    var app = express();
+    var api = selfapi.fromOpenAPI(spec, app);
+
+    var pets = api.children['/pets/:petId'];
+    var show = pets && pets.handlers['get'];
+    if (!show || api.title !== 'Pets API' || pets.title !== 'Pets' ||
+        show.title !== 'Show a pet' || !pets.handlers['delete'] ||
+        pets.handlers['delete'].title !== 'deletePet') {
+      callback(new Error('Unexpected API tree: ' +
+        jsonStringifyWithFunctions(api.children)));
+      return;
     }
-    return value;
+
+    // Documents are imported at their server's base path (if any), and
+    // several documents can be imported into the same API resource.
+    var parent = selfapi({ title: 'Parent' });
+    selfapi.fromOpenAPI(spec, parent);
+    selfapi.fromOpenAPI({
+      paths: { '/other': { get: { summary: 'Show other' } } }
+    }, parent);
+    var v2 = selfapi.fromOpenAPI({
+      servers: [{
+        url: 'https://{host}/v2/',
+        variables: { host: { default: 'api.example.com' } }
+      }],
+      paths: { '/pets': { get: { summary: 'List pets' } } }
+    }, parent);
+    if (Object.keys(parent.children).sort().join() !==
+        '/other,/pets/:petId,/v2' || parent.title !== 'Parent' ||
+        v2.path !== '/v2' || !v2.children['/pets'].handlers['get']) {
+      callback(new Error('Unexpected imported API tree: ' +
+        Object.keys(parent.children)));
+      return;
+    }
+
+    var example = show.examples[0];
+    if (show.examples.length !== 1 ||
+        example.request.urlParameters.petId !== '1' ||
+        example.response.status !== 200 ||
+        example.response.body.name !== 'Rex') {
+      callback(new Error('Unexpected examples: ' +
+        JSON.stringify(show.examples, null, 2)));
+      return;
+    }
+
+    // Start the app, and verify that stub handlers can be replaced.
+    app.listen(port, function () {
+      var petUrl = 'http://localhost:' + port + '/pets/1';
+      http.get(petUrl, function (response) {
+        if (response.statusCode !== 501) {
+          callback(new Error('Stub handler should respond with 501, not ' +
+            response.statusCode));
+          return;
+        }
+
+        api.get('/pets/:petId', {
+          title: 'Show a pet',
+          handler: function (request, response) {
+            response.end(JSON.stringify({ name: 'Rex' }, null, 2));
+          },
+          examples: show.examples
+        });
+
+        api.test('http://localhost:' + port, function (error, results) {
+          if (error) {
+            callback(error);
+            return;
+          }
+          if (results.passed.length !== 1 || results.failed.length !== 1) {
+            callback(new Error(
+              'Self-test results should include 1 failed (501) and 1 passed: ' +
+              jsonStringifyWithFunctions(results)));
+            return;
+          }
+          callback();
+        });
+      });
+    });
   }
-  return JSON.stringify(value, replacer, 2);
+});
+
+tests.push({
+  title: 'Request parameter validation',
+
+  test: function (port, callback) {
+    // Create a new API using Express.
+    var app = express();
+    var api = selfapi(app, '/api');
+
+    // Add a request handler with declared request parameters.
+    var handlerCalled = 0;
+    api.post('/items/:id', {
+      title: 'Update an item',
+      parameters: {
+        urlParameters: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer', description: 'The item ID.' }
+          }
+        },
+        queryParameters: {
+          type: 'object',
+          properties: {
+            notify: { type: 'boolean' }
+          }
+        },
+        headers: {
+          type: 'object',
+          properties: {
+            'X-Token': { type: 'string', minLength: 3 }
+          },
+          required: [ 'X-Token' ]
+        },
+        body: {
+          type: 'object',
+          properties: {
+            name: { type: 'string' },
+            tags: { type: 'array', items: { type: 'string' } }
+          },
+          required: [ 'name' ]
+        }
+      },
+      handler: function (request, response) {
+        handlerCalled++;
+        response.json({ id: request.params.id, name: request.body.name });
+      },
+      examples: [{
+        request: {
+          urlParameters: { id: '1' },
+          queryParameters: { notify: 'true' },
+          headers: { 'X-Token': 'secret' },
+          body: { name: 'My Item', tags: [ 'new' ] }
+        },
+        response: {
+          body: function (body) {
+            return JSON.parse(body).name === 'My Item';
+          }
+        }
+      }, {
+        request: {
+          urlParameters: { id: 'one' },
+          queryParameters: { notify: 'maybe' },
+          body: { tags: [ 42 ] }
+        },
+        response: {
+          status: 400,
+          body: function (body) {
+            var pointers = JSON.parse(body).errors.map(function (error) {
+              return error.in + ':' + error.pointer;
+            }).sort().join(',');
+            return pointers === 'body:/name,body:/tags/0,headers:/X-Token,' +
+              'queryParameters:/notify,urlParameters:/id';
+          }
+        }
+      }]
+    });
+
+    var markdown = api.toMarkdown();
+    var html = api.toHTML();
+    if (markdown.indexOf('| `id` | URL | integer | yes | The item ID. |') < 0 ||
+        markdown.indexOf('| `name` | body | string | yes |  |') < 0 ||
+        html.indexOf('<td><code>X-Token</code></td><td>header</td>') < 0) {
+      callback(new Error('Request parameters are not documented:\n' +
+        markdown + '\n' + html));
+      return;
+    }
+
+    var operation = api.toOpenAPI().paths['/api/items/{id}'].post;
+    if (operation.parameters[0].schema.type !== 'integer' ||
+        operation.requestBody.content['application/json'].schema.required[0] !==
+          'name') {
+      callback(new Error('Request parameters are not exported to OpenAPI: ' +
+        JSON.stringify(operation, null, 2)));
+      return;
+    }
+
+    // Start the app and self-test the API.
+    app.listen(port, function () {
+      api.test('http://localhost:' + port, function (error, results) {
+        if (error) {
+          callback(error);
+          return;
+        }
+        if (results.failed.length > 0 || handlerCalled !== 1) {
+          callback(new Error('Request parameter validation failed: ' +
+            jsonStringifyWithFunctions(results)));
+          return;
+        }
+        callback();
+      });
+    });
+  }
+});
+
+tests.push({
+  title: 'Response schema validation',
+
+  test: function (port, callback) {
+    // Create a new API using Express.
+    var app = express();
+    var api = selfapi(app, '/api');
+
+    // Add a request handler with declared response schemas.
+    api.post('/items', {
+      title: 'Create an item',
+      handler: function (request, response) {
+        var invalid = request.query.invalid;
+        if (!invalid) {
+          response.setHeader('Location', '/api/items/1');
+        }
+        response.status(201).json({
+          id: invalid ? 'one' : 1,
+          created: new Date().toISOString()
+        });
+      },
+      responses: {
+        201: {
+          headers: {
+            Location: { type: 'string' }
+          },
+          body: {
+            type: 'object',
+            properties: {
+              id: { type: 'integer' },
+              created: { type: 'string' }
+            },
+            required: [ 'id', 'created' ]
+          }
+        }
+      },
+      examples: [{
+        response: {
+          status: 201
+        }
+      }, {
+        request: {
+          queryParameters: { invalid: 'true' }
+        },
+        response: {
+          // This example should fail, because the response doesn't match.
+          status: 201
+        }
+      }]
+    });
+
+    var operation = api.toOpenAPI().paths['/api/items'].post;
+    var created = operation.responses['201'];
+    if (!created.headers.Location.required ||
+        created.content['application/json'].schema.required[1] !== 'created') {
+      callback(new Error('Response schemas are not exported to OpenAPI: ' +
+        JSON.stringify(operation, null, 2)));
+      return;
+    }
+
+    // Imported range and default responses keep valid OpenAPI keys.
+    var errorSchema = { type: 'object', required: [ 'error' ] };
+    var imported = selfapi.fromOpenAPI({
+      openapi: '3.0.3',
+      info: { title: 'Imported', version: '1.0.0' },
+      paths: {
+        '/errors': {
+          get: {
+            responses: {
+              '4xx': {
+                description: 'Client error',
+                content: { 'application/json': { schema: errorSchema } }
+              },
+              default: {
+                description: 'Unexpected error',
+                content: { 'application/json': { schema: errorSchema } }
+              }
+            }
+          }
+        }
+      }
+    });
+    var keys = Object.keys(imported.children['/errors'].handlers.get.responses);
+    var exportedKeys =
+      Object.keys(imported.toOpenAPI().paths['/errors'].get.responses);
+    if (keys.join(',') !== '4XX,default' ||
+        exportedKeys.join(',') !== '4XX,default') {
+      callback(new Error('Unexpected imported response keys: ' + keys +
+        ' (exported as ' + exportedKeys + ')'));
+      return;
+    }
+
+    // Start the app and self-test the API.
+    app.listen(port, function () {
+      api.test('http://localhost:' + port, function (error, results) {
+        if (error) {
+          callback(error);
+          return;
+        }
+        if (results.passed.length !== 1 || results.failed.length !== 1) {
+          callback(new Error(
+            'Self-test results should include 1 failed and 1 passed: ' +
+            jsonStringifyWithFunctions(results)));
+          return;
+        }
+        var violations = results.failed[0].schemaViolations || [];
+        var pointers = violations.map(function (violation) {
+          return violation.in + ':' + violation.pointer;
+        }).sort().join(',');
+        if (pointers !== 'body:/id,headers:/Location') {
+          callback(new Error('Unexpected schema violations: ' +
+            JSON.stringify(violations, null, 2)));
+          return;
+        }
+        callback();
+      });
+    });
+  }
+});
+
+tests.push({
+  title: 'Mock server from examples',
+
+  test: function (port, callback) {
+    // Create a new API without a real server app.
+    var api = selfapi('/api');
+    api.get('/items/:id', {
+      title: 'Show an item',
+      handler: function (request, response) { response.end('not mocked'); },
+      examples: [{
+        request: {
+          urlParameters: { id: '1' }
+        },
+        response: {
+          body: { id: 1, name: 'First' }
+        }
+      }, {
+        request: {
+          urlParameters: { id: '2' },
+          queryParameters: { fields: 'name' }
+        },
+        response: {
+          headers: { 'X-Fields': 'name' },
+          body: { name: 'Second' }
+        }
+      }]
+    });
+    api.post('/items', {
+      title: 'Add an item',
+      handler: function (request, response) { response.end('not mocked'); },
+      examples: [{
+        request: {
+          body: '{"name":"Third"}'
+        },
+        response: {
+          status: 201,
+          body: 'Created third'
+        }
+      }, {
+        request: {
+          body: { name: 'Fourth' }
+        },
+        response: {
+          status: 201,
+          body: 'Created fourth'
+        }
+      }]
+    });
+
+    function request (method, path, body, callback) {
+      var options = {
+        port: port,
+        path: path,
+        method: method
+      };
+      var clientRequest = http.request(options, function (response) {
+        var responseBody = '';
+        response.on('data', function (chunk) {
+          responseBody += String(chunk);
+        });
+        response.on('end', function () {
+          callback(response, responseBody);
+        });
+      });
+      clientRequest.end(body);
+    }
+
+    // Mount the mock API on a plain Node.js server.
+    var server = api.toMockServer();
+    server.listen(port, function () {
+      request('GET', '/api/items/2?fields=name', null,
+        function (response, body) {
+          if (response.headers['x-fields'] !== 'name' ||
+              JSON.parse(body).name !== 'Second') {
+            callback(new Error('Unexpected mock response: ' + body));
+            return;
+          }
+          request('GET', '/api/items/42', null, function (response, body) {
+            // Fall back to the first example.
+            if (response.statusCode !== 200 || JSON.parse(body).id !== 1) {
+              callback(new Error('Unexpected fallback response: ' + body));
+              return;
+            }
+            request('POST', '/api/items', '{ "name": "Fourth" }',
+              function (response, body) {
+                if (response.statusCode !== 201 || body !== 'Created fourth') {
+                  callback(new Error('Unexpected mock response: ' + body));
+                  return;
+                }
+                request('GET', '/nope', null, function (response) {
+                  if (response.statusCode !== 404) {
+                    callback(new Error('Unknown routes should respond 404'));
+                    return;
+                  }
+                  server.close();
+                  callback();
+                });
+              });
+          });
+        });
+    });
+  }
+});
+
+tests.push({
+  title: 'Mock API on Express',
+
+  test: function (port, callback) {
+    // Create a new API without a real server app.
+    var api = selfapi('/api');
+    api.get('/files/*', {
+      title: 'Show a file',
+      handler: function (request, response) { response.end('not mocked'); },
+      examples: [{
+        request: {
+          urlParameters: { '*': 'a/b.txt' }
+        },
+        response: {
+          body: 'File a/b.txt'
+        }
+      }, {
+        request: {
+          urlParameters: { '*': 'c.txt' }
+        },
+        response: {
+          body: 'File c.txt'
+        }
+      }]
+    });
+
+    // Mount the mock API on Express, and self-test it.
+    var app = api.mock(express());
+    app.listen(port, function () {
+      api.test('http://localhost:' + port, function (error, results) {
+        if (error) {
+          callback(error);
+          return;
+        }
+        if (results.passed.length !== 2) {
+          callback(new Error('Mock API self-tests should pass: ' +
+            jsonStringifyWithFunctions(results)));
+          return;
+        }
+        callback();
+      });
+    });
+  }
+});
+
+tests.push({
+  title: 'Self-test reporters',
+
+  test: function (port, callback) {
+    // Create a new API using Express.
+    var app = express();
+    var api = selfapi(app, '/api');
+
+    api.get('/ping', {
+      title: 'Ping & pong',
+      handler: function (request, response) { response.end('pong'); },
+      examples: [{
+        response: {
+          body: 'pong'
+        }
+      }, {
+        response: {
+          // This example should fail.
+          body: 'pang'
+        }
+      }]
+    });
+
+    // Start the app and self-test the API.
+    app.listen(port, function () {
+      api.test('http://localhost:' + port, function (error, results) {
+        if (error) {
+          callback(error);
+          return;
+        }
+
+        var reports = {
+          summary: [ 'Results: 1/2 tests passed.', 'Failed: [' ],
+          spec: [ 'Ping & pong\n  ✓ GET /api/ping\n  ✗ GET',
+            '1 passed, 1 failed.' ],
+          tap: [ 'TAP version 13\n1..2\nok 1 - GET /api/ping',
+            'not ok 2 - GET /api/ping (Ping & pong)\n  ---\n' +
+            '  expected: {"body":"pang"}\n  actual: {"status":200,' +
+            '"body":"pong"}\n  ...' ],
+          junit: [ '<testsuites tests="2" failures="1">',
+            '<testcase classname="Ping &amp; pong" ' +
+            'name="GET /api/ping"/>',
+            '<failure message="Unexpected response (status 200)">' ]
+        };
+
+        for (var reporter in reports) {
+          var report = selfapi.reporters[reporter](results);
+          for (var i = 0; i < reports[reporter].length; i++) {
+            if (report.indexOf(reports[reporter][i]) < 0) {
+              callback(new Error('Expected ' + reporter + ' report to ' +
+                'contain \'' + reports[reporter][i] + '\' in:\n' + report));
+              return;
+            }
+          }
+        }
+
+        try {
+          api.test('http://localhost:' + port, { reporter: 'nope' });
+        } catch (error) {
+          callback();
+          return;
+        }
+        callback(new Error('Unknown reporters should throw an error'));
+      });
+    });
+  }
+});
+
+tests.push({
+  title: 'Seeded and concurrent self-tests',
+
+  test: function (port, callback) {
+    // Create a new API using Express.
+    var app = express();
+    var api = selfapi(app, '/api');
+    var shared = api.api('/shared', { concurrentTests: false });
+
+    // Keep track of the order and concurrency of requests.
+    var order = [];
+    var inFlight = 0;
+    var maxInFlight = 0;
+    var sharedAlone = true;
+
+    function handler (request, response) {
+      order.push(request.params.id);
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      setTimeout(function () {
+        inFlight--;
+        response.end('ok');
+      }, 20);
+    }
+
+    var examples = [];
+    for (var i = 0; i < 8; i++) {
+      examples.push({
+        request: { urlParameters: { id: String(i) } },
+        response: { body: 'ok' }
+      });
+    }
+    api.get('/items/:id', {
+      title: 'Show an item',
+      handler: handler,
+      examples: examples
+    });
+    shared.get('/:id', {
+      title: 'Show a shared item',
+      handler: function (request, response) {
+        if (inFlight > 0) {
+          sharedAlone = false;
+        }
+        handler(request, response);
+      },
+      examples: [{
+        request: { urlParameters: { id: 'shared' } },
+        response: { body: 'ok' }
+      }]
+    });
+
+    var baseUrl = 'http://localhost:' + port;
+    app.listen(port, function () {
+      api.test(baseUrl, { seed: 42 }, function (error, firstResults) {
+        var firstOrder = order.join(',');
+        order = [];
+        api.test(baseUrl, { seed: 42 }, function (error, secondResults) {
+          var secondOrder = order.join(',');
+          order = [];
+          if (firstOrder !== secondOrder || secondResults.seed !== 42 ||
+              maxInFlight !== 1) {
+            callback(new Error('Seeded self-tests should run in the same ' +
+              'order, one at a time: ' + firstOrder + ' vs ' + secondOrder));
+            return;
+          }
+
+          api.test(baseUrl, { seed: 7, concurrency: 3 },
+            function (error, results) {
+              if (error) {
+                callback(error);
+                return;
+              }
+              if (order.join(',') === firstOrder) {
+                callback(new Error('Different seeds should give different ' +
+                  'orders: ' + firstOrder));
+                return;
+              }
+              if (results.passed.length !== 9 || maxInFlight !== 3 ||
+                  !sharedAlone) {
+                callback(new Error('Expected 9 passed tests, up to 3 at a ' +
+                  'time, with the shared resource tested alone: ' +
+                  maxInFlight + ' ' + sharedAlone + ' ' +
+                  jsonStringifyWithFunctions(results)));
+                return;
+              }
+              callback();
+            });
+        });
+      });
+    });
+  }
+});
+
+tests.push({
+  title: 'Promises and async functions',
+
+  test: function (port, callback) {
+    var calls = [];
+    function delay () {
+      return new Promise(function (resolve) { setTimeout(resolve, 5); });
+    }
+
+    // Create a new API using Express, with async test setup functions.
+    var app = express();
+    app.set('env', 'test'); // Don't log forwarded errors.
+    var api = selfapi(app, '/api/async', {
+      beforeEachTest: async function () {
+        await delay();
+        calls.push('before');
+      },
+      afterEachTest: async function () {
+        await delay();
+        calls.push('after');
+      }
+    });
+
+    api.get({
+      title: 'Async handler',
+      handler: async function (request, response) {
+        await delay();
+        if (request.query.fail) {
+          throw new Error('Async failure');
+        }
+        response.end('ok');
+      },
+      examples: [{
+        response: {
+          status: async function (status) {
+            await delay();
+            return status === 200;
+          },
+          body: function (body) {
+            return delay().then(function () { return body === 'ok'; });
+          }
+        }
+      }, {
+        request: {
+          queryParameters: { fail: 'true' }
+        },
+        response: {
+          // Express responds with 500 to errors forwarded via `next(error)`.
+          status: 500
+        }
+      }, {
+        response: {
+          // This example should fail, because its body function rejects.
+          body: async function (body) {
+            throw new Error('Nope');
+          }
+        }
+      }]
+    });
+
+    // Start the app and self-test the API, using Promises.
+    app.listen(port, function () {
+      var promise = api.test('http://localhost:' + port, { reporter: false });
+      promise.then(function (results) {
+        if (results.passed.length !== 2 || results.failed.length !== 1 ||
+            results.failed[0].predicateError !== 'Nope') {
+          throw new Error('Self-test results should include 1 failed and ' +
+            '2 passed: ' + jsonStringifyWithFunctions(results));
+        }
+        if (calls.join(',') !== 'before,after,before,after,before,after') {
+          throw new Error('Unexpected test setup calls: ' + calls);
+        }
+        return api.test('ftp://localhost', { reporter: false }).then(
+          function () {
+            throw new Error('Invalid base URLs should reject');
+          }, function () {});
+      }).then(function () {
+        // Ignored Promises log their errors, but don't reject unhandled.
+        return new Promise(function (resolve, reject) {
+          runScript([
+            'var api = selfapi();',
+            'api.get({ title: \'Status\', examples: [ {} ] });',
+            'api.test(\'ftp://localhost\');'
+          ], function (error, stdout, stderr) {
+            if (error || stderr.indexOf('Invalid base site') < 0 ||
+                stderr.indexOf('Unhandled') > -1) {
+              reject(new Error('Unexpected errors: ' + (error || stderr)));
+              return;
+            }
+            resolve();
+          });
+        });
+      }).then(function () {
+        // Errors thrown by the self-test callback shouldn't be swallowed.
+        runScript([
+          'var server = http.createServer();',
+          'var api = selfapi(server, \'/api\');',
+          'api.get({',
+          '  title: \'Status\',',
+          '  handler: function (request, response) { response.end(\'ok\'); },',
+          '  examples: [{ response: { body: \'ok\' } }]',
+          '});',
+          'server.listen(0, function () {',
+          '  var baseUrl = \'http://localhost:\' + server.address().port;',
+          '  api.test(baseUrl, function () {',
+          '    throw new Error(\'Assertion in callback\');',
+          '  });',
+          '});'
+        ], function (error, stdout, stderr) {
+          if (!error || error.killed ||
+              stderr.indexOf('Error: Assertion in callback') < 0) {
+            callback(new Error('Callback errors should be uncaught: ' +
+              (error && error.killed ? 'timed out' : stderr)));
+            return;
+          }
+          callback();
+        });
+      }, callback);
+    });
+  }
+});
+
+tests.push({
+  title: 'Filtered self-tests',
+
+  test: function (port, callback) {
+    // Create a new API using Express, with tagged examples.
+    var app = express();
+    var api = selfapi(app, '/api/filtered');
+    var items = api.api('/items');
+    function handler (request, response) {
+      response.end('ok');
+    }
+
+    api.get({
+      title: 'Show API status',
+      tags: [ 'smoke' ],
+      handler: handler,
+      examples: [{ response: { body: 'ok' } }]
+    });
+    items.get('/:id', {
+      title: 'Show an item',
+      handler: handler,
+      examples: [{
+        request: { urlParameters: { id: '1' } },
+        response: { body: 'ok' },
+        tags: [ 'smoke' ]
+      }, {
+        request: { urlParameters: { id: '2' } },
+        response: { body: 'ok' }
+      }, {
+        request: { urlParameters: { id: '3' } },
+        // This example would fail, but it is skipped.
+        response: { body: 'nope' },
+        skip: true
+      }]
+    });
+    items.post({
+      title: 'Add an item',
+      handler: handler,
+      examples: [{ response: { body: 'ok' } }]
+    });
+
+    function getUris (tests) {
+      return tests.map(function (test) {
+        return test.method.toUpperCase() + ' ' + test.uri;
+      }).sort().join(', ');
+    }
+
+    var baseUrl = 'http://localhost:' + port;
+    var expected = [
+      [ { only: { tags: 'smoke' } }, 2, 3 ],
+      [ { only: { path: '/api/filtered/items/*', method: 'get' } }, 2, 3 ],
+      [ { only: { path: '/api/**', title: 'ITEM' } }, 3, 2 ],
+      [ { skip: { method: [ 'get' ] } }, 1, 4 ]
+    ];
+
+    app.listen(port, function () {
+      Promise.all(expected.map(function (filter) {
+        var testOptions = filter[0];
+        testOptions.reporter = false;
+        return api.test(baseUrl, testOptions);
+      })).then(function (allResults) {
+        for (var i = 0; i < expected.length; i++) {
+          var results = allResults[i];
+          if (results.failed.length > 0 ||
+              results.passed.length !== expected[i][1] ||
+              results.skipped.length !== expected[i][2]) {
+            throw new Error('Unexpected filtered self-test results for ' +
+              JSON.stringify(expected[i][0]) + ': ' +
+              jsonStringifyWithFunctions(results));
+          }
+        }
+
+        var skipped = allResults[0].skipped.filter(function (test) {
+          return test.uri === '/api/filtered/items/3';
+        });
+        if (skipped.length !== 1 || !/"skip"/.test(skipped[0].reason)) {
+          throw new Error('Examples marked with "skip" should be reported: ' +
+            jsonStringifyWithFunctions(allResults[0].skipped));
+        }
+
+        // Examples marked with `only: true` exclude all others.
+        items.handlers['post'].examples[0].only = true;
+        return api.test(baseUrl, { reporter: false });
+      }).then(function (results) {
+        if (getUris(results.passed) !== 'POST /api/filtered/items' ||
+            results.skipped.length !== 4) {
+          throw new Error('Only the example marked with "only" should run: ' +
+            jsonStringifyWithFunctions(results));
+        }
+        var tap = selfapi.reporters.tap(results);
+        if (tap.indexOf('# SKIP Other examples are marked with "only"') < 0) {
+          throw new Error('TAP reports should list skipped tests: ' + tap);
+        }
+        callback();
+      }).catch(callback);
+    });
+  }
+});
+
+tests.push({
+  title: 'Self-test timeouts and retries',
+
+  test: function (port, callback) {
+    // Create a new API using Express, with slow and flaky request handlers.
+    var app = express();
+    var api = selfapi(app, '/api/slow', { testTimeout: 50 });
+    var exports = api.api('/exports', { testTimeout: 200 });
+    var flakyCalls = 0;
+
+    function delay (milliseconds) {
+      return function (request, response) {
+        setTimeout(function () {
+          response.end('ok');
+        }, milliseconds);
+      };
+    }
+
+    api.get({
+      title: 'Slow status',
+      handler: delay(100),
+      examples: [{
+        // This example should time out (resource timeout is 50ms).
+        response: { body: 'ok' }
+      }, {
+        timeout: 300,
+        response: { body: 'ok' }
+      }]
+    });
+    exports.get({
+      title: 'Slow export',
+      handler: delay(100),
+      examples: [{ response: { body: 'ok' } }]
+    });
+    api.get('/flaky', {
+      title: 'Eventually consistent',
+      handler: function (request, response) {
+        flakyCalls++;
+        response.end(flakyCalls < 3 ? 'pending' : 'done');
+      },
+      examples: [{
+        // Don't let the resource's short timeout make this example flaky.
+        timeout: 1000,
+        retries: 3,
+        retryDelay: 10,
+        response: { body: 'done' }
+      }]
+    });
+
+    app.listen(port, function () {
+      var baseUrl = 'http://localhost:' + port;
+      api.test(baseUrl, { reporter: false }).then(function (results) {
+        if (results.passed.length !== 3 || results.failed.length !== 1) {
+          throw new Error('Expected 3 passed and 1 timed out self-tests: ' +
+            jsonStringifyWithFunctions(results));
+        }
+
+        var failed = results.failed[0];
+        if (!/timed out after 50 ms/.test(failed.actualResponse.error) ||
+            !failed.attempts || !failed.attempts[0].timedOut) {
+          throw new Error('Timed out self-tests should be recorded: ' +
+            jsonStringifyWithFunctions(failed));
+        }
+
+        var flaky = results.passed.filter(function (summary) {
+          return summary.uri === '/api/slow/flaky';
+        })[0];
+        if (!flaky || JSON.stringify(flaky.attempts) !==
+            '[{"status":200},{"status":200},{"status":200}]') {
+          throw new Error('Retried self-tests should record all attempts: ' +
+            jsonStringifyWithFunctions(flaky));
+        }
+
+        // A global timeout applies when no other timeout is set.
+        api.testTimeout = null;
+        exports.testTimeout = null;
+        flakyCalls = 3;
+        return api.test(baseUrl, { reporter: false, timeout: 20 });
+      }).then(function (results) {
+        if (results.passed.length !== 2 || results.failed.length !== 2) {
+          throw new Error('Expected 2 passed and 2 timed out self-tests: ' +
+            jsonStringifyWithFunctions(results));
+        }
+        callback();
+      }).catch(callback);
+    });
+  }
+});
+
+tests.push({
+  title: 'Structural JSON matching and body diffs',
+
+  test: function (port, callback) {
+    // Create a new API using Express.
+    var app = express();
+    var api = selfapi(app, '/api/json');
+
+    api.get({
+      title: 'Show an item',
+      handler: function (request, response) {
+        response.end('{"name":"Item","id":42,"tags":["a","b"],' +
+          '"created":"2017-01-01"}');
+      },
+      examples: [{
+        response: {
+          body: {
+            id: 42,
+            name: 'Item',
+            tags: [ 'a', 'b' ],
+            created: selfapi.any(String)
+          }
+        }
+      }, {
+        response: {
+          match: 'subset',
+          body: '{ "id": 42, "tags": [ "a", "b" ] }'
+        }
+      }, {
+        response: {
+          match: 'subset',
+          body: { id: selfapi.any(Number), name: selfapi.any() }
+        }
+      }, {
+        response: {
+          // This example should fail.
+          body: { id: selfapi.any(String), name: 'Item', tags: [ 'a' ] }
+        }
+      }]
+    });
+    api.get('/text', {
+      title: 'Show some text',
+      handler: function (request, response) {
+        response.end('one\ntwo\nthree');
+      },
+      examples: [{
+        response: {
+          // This example should fail.
+          body: 'one\n2\nthree'
+        }
+      }]
+    });
+
+    function getFailed (results, uri) {
+      return results.failed.filter(function (summary) {
+        return summary.uri === uri;
+      })[0];
+    }
+
+    app.listen(port, function () {
+      var baseUrl = 'http://localhost:' + port;
+      api.test(baseUrl, { reporter: false }).then(function (results) {
+        if (results.passed.length !== 3 || results.failed.length !== 2) {
+          throw new Error('Expected 3 passed and 2 failed self-tests: ' +
+            jsonStringifyWithFunctions(results));
+        }
+
+        var json = getFailed(results, '/api/json');
+        var expectedDiff = [
+          '/id: expected <any String>, got 42',
+          '/tags: expected 1 items, got 2',
+          '/created: unexpected'
+        ];
+        if (JSON.stringify(json.bodyDiff) !== JSON.stringify(expectedDiff) ||
+            'body' in json.actualResponse) {
+          throw new Error('Unexpected JSON body diff: ' +
+            jsonStringifyWithFunctions(json));
+        }
+
+        var text = getFailed(results, '/api/json/text');
+        if (JSON.stringify(text.bodyDiff) !== '["- 2","+ two"]') {
+          throw new Error('Unexpected text body diff: ' +
+            jsonStringifyWithFunctions(text));
+        }
+
+        var report = selfapi.reporters.spec(results);
+        if (report.indexOf('Body diff:\n        /id: expected') < 0) {
+          throw new Error('Reports should include body diffs: ' + report);
+        }
+        callback();
+      }).catch(callback);
+    });
+  }
+});
+
+tests.push({
+  title: 'Chained examples with captured values',
+
+  test: function (port, callback) {
+    // Create a new API using Express, with a small item store.
+    var app = express();
+    var api = selfapi(app, '/api/chained');
+    var items = {};
+    var nextId = 1;
+
+    api.post({
+      title: 'Add an item',
+      handler: function (request, response) {
+        var id = nextId++;
+        items[id] = { id: id, name: request.headers['x-name'] };
+        response.statusCode = 201;
+        response.setHeader('Location', '/api/chained/' + id);
+        response.json({ item: items[id] });
+      },
+      examples: [{
+        id: 'create',
+        request: { headers: { 'X-Name': '{{prefix}} item' } },
+        response: { status: 201 },
+        capture: {
+          itemId: '$.item.id',
+          location: { header: 'Location' }
+        }
+      }, {
+        id: 'broken',
+        response: { status: 201 },
+        // This example should fail, so its dependents should be skipped.
+        capture: { missing: '$.item.tags[0]' }
+      }]
+    });
+    api.get('/:id', {
+      title: 'Show an item',
+      handler: function (request, response) {
+        var item = items[request.params.id];
+        if (!item) {
+          response.statusCode = 404;
+          response.end();
+          return;
+        }
+        response.json(item);
+      },
+      examples: [{
+        id: 'fetch',
+        dependsOn: 'create',
+        request: { urlParameters: { id: '{{itemId}}' } },
+        response: { body: { id: selfapi.any(Number), name: 'My item' } }
+      }, {
+        dependsOn: [ 'broken' ],
+        request: { urlParameters: { id: '{{missing}}' } }
+      }]
+    });
+    api.delete('/:id', {
+      title: 'Delete an item',
+      handler: function (request, response) {
+        delete items[request.params.id];
+        response.end();
+      },
+      examples: [{
+        dependsOn: [ 'create', 'fetch' ],
+        request: { urlParameters: { id: '{{itemId}}' } }
+      }]
+    });
+
+    app.listen(port, function () {
+      var baseUrl = 'http://localhost:' + port;
+      var testOptions = {
+        reporter: false,
+        concurrency: 4,
+        variables: { prefix: 'My' }
+      };
+      api.test(baseUrl, testOptions).then(function (results) {
+        var uris = results.passed.map(function (summary) {
+          return summary.method + ' ' + summary.uri;
+        });
+        // The failing 'broken' example may create an item first.
+        var flow = new RegExp('^post /api/chained, get /api/chained/(\\d), ' +
+          'delete /api/chained/\\1$');
+        if (!flow.test(uris.join(', ')) || results.failed.length !== 1 ||
+            results.skipped.length !== 1 || Object.keys(items).length !== 1) {
+          throw new Error('Chained examples should run in order: ' +
+            jsonStringifyWithFunctions(results));
+        }
+        if (!/No value at \$\.item\.tags\[0\]/.test(
+            results.failed[0].captureError) ||
+            results.skipped[0].reason !== 'Depends on failed example ' +
+            '"broken"') {
+          throw new Error('Examples that depend on failed examples should ' +
+            'be skipped: ' + jsonStringifyWithFunctions(results));
+        }
+
+        // Examples with circular dependencies can't run.
+        api.handlers['post'].examples[0].dependsOn = 'fetch';
+        return api.test(baseUrl, testOptions).then(function () {
+          throw new Error('Circular example dependencies should fail');
+        }, function (error) {
+          if (!/Circular/.test(error.message)) {
+            throw error;
+          }
+        });
+      }).then(function () {
+        // Unknown dependencies and duplicate ids are reported, not thrown.
+        api.handlers['post'].examples[0].dependsOn = 'nope';
+        return new Promise(function (resolve, reject) {
+          api.test(baseUrl, testOptions, function (error, results) {
+            if (!error || error.message !==
+                'Unknown example dependency: "nope"' || !results) {
+              reject(new Error('Unknown dependencies should be reported: ' +
+                error));
+              return;
+            }
+            resolve();
+          });
+        });
+      }).then(function () {
+        delete api.handlers['post'].examples[0].dependsOn;
+        api.handlers['post'].examples[1].id = 'create';
+        return api.test(baseUrl, testOptions).then(function () {
+          throw new Error('Duplicate example ids should reject');
+        }, function (error) {
+          if (error.message !== 'Duplicate example id: "create"') {
+            throw error;
+          }
+        });
+      }).then(function () {
+        callback();
+      }).catch(callback);
+    });
+  }
+});
+
+tests.push({
+  title: 'In-process self-testing',
+
+  test: function (port, callback) {
+    // Create a new API using Express, but don't start the app.
+    var app = express();
+    var api = selfapi(app, '/api/inprocess');
+    var items = api.api('/items');
+
+    api.get({
+      title: 'Show API version',
+      handler: function (request, response) {
+        // In-process requests should look like real HTTP/1.1 requests.
+        response.setHeader('X-HTTP-Version', request.httpVersion);
+        response.json({ version: 'v1.0' });
+      },
+      examples: [{
+        response: {
+          headers: {
+            'Content-Type': 'application/json; charset=utf-8',
+            'X-HTTP-Version': '1.1'
+          },
+          body: { version: 'v1.0' }
+        }
+      }]
+    });
+    items.post({
+      title: 'Add an item',
+      handler: function (request, response) {
+        var body = '';
+        request.on('data', function (chunk) {
+          body += String(chunk);
+        });
+        request.on('end', function () {
+          response.writeHead(201, { 'X-Length': String(body.length) });
+          response.end(body);
+        });
+      },
+      examples: [{
+        request: { body: '{"name":"My item"}' },
+        response: {
+          status: 201,
+          headers: { 'X-Length': '18' },
+          body: { name: 'My item' }
+        }
+      }]
+    });
+
+    // A plain request listener that throws.
+    var failing = selfapi({ path: '/failing' });
+    failing.get({
+      title: 'Fail',
+      handler: function () {},
+      examples: [{}]
+    });
+    function listener (request, response) {
+      throw new Error('Listener failed');
+    }
+
+    api.test(app, { reporter: false }).then(function (results) {
+      if (results.passed.length !== 2 || results.failed.length !== 0) {
+        throw new Error('In-process self-tests should pass: ' +
+          jsonStringifyWithFunctions(results));
+      }
+      return items.test(app, { reporter: false, basePath: '/api/inprocess' });
+    }).then(function (results) {
+      if (results.passed.length !== 1 ||
+          results.passed[0].uri !== '/api/inprocess/items') {
+        throw new Error('In-process self-tests should support a base path: ' +
+          jsonStringifyWithFunctions(results));
+      }
+      return failing.test(listener, { reporter: false });
+    }).then(function (results) {
+      if (results.failed.length !== 1 ||
+          results.failed[0].actualResponse.error !== 'Listener failed') {
+        throw new Error('Request listener errors should fail self-tests: ' +
+          jsonStringifyWithFunctions(results));
+      }
+      callback();
+    }).catch(callback);
+  }
+});
+
+tests.push({
+  title: 'Documentation and test coverage report',
+
+  test: function (port, callback) {
+    // Create a new API, with a partly documented and tested resource.
+    var app = express();
+    var api = selfapi(app, '/api/coverage', 'Coverage');
+    var items = api.api('/items');
+
+    api.get({
+      title: 'Show API version',
+      description: 'Show the latest API version currently supported.',
+      handler: function (request, response) { response.end('v1.0'); },
+      examples: [{ response: { body: 'v1.0' } }]
+    });
+    items.post({
+      title: 'Add an item',
+      parameters: { body: { type: 'object' } },
+      responses: { 201: {}, 400: {} },
+      handler: function (request, response) {
+        response.statusCode = 201;
+        response.end();
+      },
+      examples: [{ request: { body: '{}' }, response: { status: 201 } }]
+    });
+    items.delete('/:id', {
+      handler: function (request, response) { response.end(); }
+    });
+
+    var report = api.coverage();
+    var expectedRoutes = [
+      'GET /api/coverage ✓✓1✗ 200',
+      'POST /api/coverage/items ✓✗1✓ 201 (400)',
+      'DELETE /api/coverage/items/:id ✗✗0✗ '
+    ];
+    var routes = report.routes.map(function (route) {
+      function mark (value) {
+        return value ? '✓' : '✗';
+      }
+      return route.method + ' ' + route.path + ' ' + mark(route.title) +
+        mark(route.description) + route.examples + mark(route.parameters) +
+        ' ' + route.statusCodes.concat(route.untestedStatusCodes.map(
+        function (status) { return '(' + status + ')'; })).join(' ');
+    });
+    if (routes.join('\n') !== expectedRoutes.join('\n') ||
+        report.percentage !== 55) {
+      callback(new Error('Unexpected coverage report: ' +
+        JSON.stringify(report, null, 2)));
+      return;
+    }
+
+    var table = api.coverage({ format: 'text' });
+    if (table.indexOf('POST    /api/coverage/items      ✓      ✗ ') < 0 ||
+        table.indexOf('Coverage: 55%') < 0) {
+      callback(new Error('Unexpected coverage table:\n' + table));
+      return;
+    }
+
+    try {
+      api.coverage({ threshold: 80 });
+      callback(new Error('Coverage below the threshold should throw'));
+      return;
+    } catch (error) {
+      if (!/below the threshold \(80%\)/.test(error.message)) {
+        callback(error);
+        return;
+      }
+    }
+
+    // Handlers without examples are reported as skipped self-tests.
+    api.test(app, { reporter: false }).then(function (results) {
+      if (results.passed.length !== 2 || results.skipped.length !== 1 ||
+          results.skipped[0].reason !== 'Handler has no examples') {
+        throw new Error('Handlers without examples should be skipped: ' +
+          jsonStringifyWithFunctions(results));
+      }
+      callback();
+    }).catch(callback);
+  }
+});
+
+tests.push({
+  title: 'Automatic OPTIONS and 405 Method Not Allowed',
+
+  test: function (port, callback) {
+    // Create a new API using Express, with automatic methods.
+    var app = express();
+    selfapi.options.automaticMethods = true;
+    var api = selfapi(app, '/api/methods');
+    var items = api.api('/items');
+    var any = api.api('/any');
+    function handler (request, response) {
+      response.end('ok');
+    }
+
+    items.get({
+      title: 'List items',
+      handler: handler,
+      examples: [{ response: { body: 'ok' } }]
+    });
+    items.post({
+      title: 'Add an item',
+      handler: handler,
+      examples: [{ response: { body: 'ok' } }]
+    });
+    items.head('/:id', {
+      title: 'Check if an item exists',
+      handler: handler,
+      examples: [{ request: { urlParameters: { id: '1' } } }]
+    });
+    any.all({
+      title: 'Do anything',
+      handler: handler,
+      examples: [{ response: { body: 'ok' } }, {
+        request: { method: 'patch' },
+        response: { body: 'ok' }
+      }]
+    });
+
+    // Parameterised resources don't reject requests meant for their siblings.
+    var siblings = selfapi(app, '/api/siblings');
+    siblings.get('/:id', {
+      title: 'Show an item',
+      handler: handler,
+      examples: [{ request: { urlParameters: { id: '1' } } }]
+    });
+    siblings.post('/items', {
+      title: 'Add an item',
+      handler: function (request, response) {
+        response.end('added');
+      },
+      examples: [{ response: { body: 'added' } }]
+    });
+    selfapi.options.automaticMethods = false;
+
+    var examples = items.handlers['all'].examples;
+    if (items.handlers['options'].title !== 'List allowed methods' ||
+        examples.length !== 1 || examples[0].request.method !== 'delete' ||
+        examples[0].response.headers.Allow !== 'GET, HEAD, POST, OPTIONS') {
+      callback(new Error('Unexpected automatic handlers: ' +
+        jsonStringifyWithFunctions(items.handlers)));
+      return;
+    }
+    if (any.handlers['all'].automatic || any.handlers['options'] ||
+        any.handlers['all'].examples.length !== 2) {
+      callback(new Error('Automatic handlers should not replace handlers'));
+      return;
+    }
+    if (api.toMarkdown().indexOf('    OPTIONS /api/methods/items\n') < 0) {
+      callback(new Error('Automatic handlers should be documented'));
+      return;
+    }
+
+    api.test(app, { reporter: false }).then(function (results) {
+      var uris = results.passed.map(function (summary) {
+        return summary.method.toUpperCase() + ' ' + summary.uri;
+      }).sort();
+      var expected = [
+        'DELETE /api/methods/items',
+        'DELETE /api/methods/items/1',
+        'GET /api/methods/any',
+        'HEAD /api/methods/items/1',
+        'OPTIONS /api/methods/items',
+        'OPTIONS /api/methods/items/1',
+        'PATCH /api/methods/any',
+        'GET /api/methods/items',
+        'POST /api/methods/items'
+      ].sort();
+      if (results.failed.length > 0 ||
+          uris.join(', ') !== expected.join(', ')) {
+        throw new Error('Automatic handlers should pass self-tests: ' +
+          jsonStringifyWithFunctions(results));
+      }
+      return siblings.test(app, { reporter: false });
+    }).then(function (results) {
+      // Requests to '/items' are allowed the methods of both '/:id' and
+      // '/items'.
+      var rejected = siblings.children['/items'].handlers['all'].examples[0];
+      if (results.failed.length > 0 || results.passed.length !== 6 ||
+          rejected.response.headers.Allow !== 'GET, HEAD, POST, OPTIONS') {
+        throw new Error('Sibling routes should pass self-tests: ' +
+          jsonStringifyWithFunctions(results));
+      }
+
+      // Mocked automatic handlers don't shadow handlers added after them (e.g.
+      // 'POST /items' after the 405 handler added with 'GET /items').
+      return api.test(api.mock(express()), { reporter: false });
+    }).then(function (results) {
+      if (results.failed.length > 0 || results.passed.length !== 9) {
+        throw new Error('Mocked automatic handlers should pass self-tests: ' +
+          jsonStringifyWithFunctions(results));
+      }
+      callback();
+    }).catch(callback);
+  }
+});
+
+tests.push({
+  title: 'Framework adapters',
+
+  test: function (port, callback) {
+    // Real Koa and Fastify apps.
+    var koa = new Koa();
+    koa.silent = true;
+    var router = new KoaRouter();
+    koa.use(router.routes());
+    var koaServer = http.createServer(koa.callback());
+
+    var fastifyErrors = [];
+    var fastify = Fastify({
+      logger: {
+        level: 'error',
+        stream: {
+          write: function (line) {
+            fastifyErrors.push(JSON.parse(line).err.message);
+          }
+        }
+      }
+    });
+
+    // A custom adapter for an imaginary framework.
+    var customRoutes = [];
+    var custom = { name: 'custom' };
+    selfapi.registerAdapter({
+      detect: function (app) {
+        return app.name === 'custom';
+      },
+      exportHandler: function (app, method, path, handler, parameters) {
+        customRoutes.push(method + ' ' + path + ' ' + parameters.title +
+          ' ' + typeof handler);
+      }
+    });
+
+    function addHandlers (api) {
+      api.get('/items/:id', {
+        title: 'Show an item',
+        handler: function (request, response) {
+          response.end('Item ' + request.params.id + ' ' +
+            (request.query.fields || ''));
+        },
+        examples: [{
+          request: {
+            urlParameters: { id: '42' },
+            queryParameters: { fields: 'name' }
+          },
+          response: { body: 'Item 42 name' }
+        }]
+      });
+      api.get('/files/*', {
+        title: 'Show a file',
+        handler: function (request, response) {
+          response.end(request.params[0]);
+        },
+        examples: [{
+          request: { urlParameters: { '*': 'a/b.txt' } },
+          response: { body: 'a/b.txt' }
+        }]
+      });
+      api.post('/next', {
+        title: 'Skip to the next handler',
+        handler: function (request, response, next) {
+          next();
+        },
+        examples: [{ response: { status: 404 } }]
+      });
+      api.post('/broken', {
+        title: 'Break',
+        handler: function (request, response, next) {
+          next(new Error('Broken'));
+        },
+        examples: [{ response: { status: 500 } }]
+      });
+      return api;
+    }
+
+    var koaApi = addHandlers(selfapi(router, '/api/koa'));
+    // Fastify also gets automatic OPTIONS and 405 handlers for all methods.
+    selfapi.options.automaticMethods = true;
+    var fastifyApi = addHandlers(selfapi(fastify, '/api/fastify'));
+    selfapi.options.automaticMethods = false;
+    addHandlers(selfapi(custom, '/api/custom'));
+
+    if (customRoutes.join('\n') !== [
+      'get /api/custom/items/:id Show an item function',
+      'get /api/custom/files/* Show a file function',
+      'post /api/custom/next Skip to the next handler function',
+      'post /api/custom/broken Break function'
+    ].join('\n') || router.stack[1].path !== '/api/koa/files/(.*)' ||
+        !fastify.hasRoute({ method: 'GET', url: '/api/fastify/files/*' })) {
+      callback(new Error('Unexpected routes: ' + JSON.stringify(customRoutes) +
+        ' ' + JSON.stringify(router.stack.map(function (layer) {
+          return layer.path;
+        })) + '\n' + fastify.printRoutes()));
+      return;
+    }
+
+    koaApi.test(koaServer, { reporter: false }).then(function (results) {
+      if (results.passed.length !== 4) {
+        throw new Error('Koa self-tests should pass: ' +
+          jsonStringifyWithFunctions(results));
+      }
+      return fastify.ready();
+    }).then(function () {
+      return fastifyApi.test(fastify.server, { reporter: false });
+    }).then(function (results) {
+      // Each path also answers OPTIONS requests and unsupported methods.
+      if (results.passed.length !== 12 || results.failed.length > 0) {
+        throw new Error('Fastify self-tests should pass: ' +
+          jsonStringifyWithFunctions(results));
+      }
+      // Errors of hijacked Fastify replies should still be logged.
+      if (fastifyErrors.join() !== 'Broken') {
+        throw new Error('Unexpected Fastify errors: ' + fastifyErrors);
+      }
+      callback();
+    }).catch(callback);
+  }
+});
+
+tests.push({
+  title: 'Plain Node.js server routing',
+
+  test: function (port, callback) {
+    // Create a new API on a plain Node.js server (no express).
+    var server = http.createServer();
+    var api = selfapi(server, '/api/plain', 'Plain API');
+
+    api.get('/items/:id', {
+      title: 'Show an item',
+      handler: function (request, response) {
+        response.end(JSON.stringify({
+          id: request.params.id,
+          fields: request.query.fields
+        }));
+      },
+      examples: [{
+        request: {
+          urlParameters: { id: 'my%20item' },
+          queryParameters: { fields: 'name' }
+        },
+        response: { body: { id: 'my item', fields: 'name' } }
+      }]
+    });
+    api.get('/files/*', {
+      title: 'Show a file',
+      handler: function (request, response) {
+        response.end(request.params[0]);
+      },
+      examples: [{
+        request: { urlParameters: { '*': 'a/b.txt' } },
+        response: { body: 'a/b.txt' }
+      }]
+    });
+    // A standalone server for another API.
+    var other = selfapi({ path: '/other' });
+    var otherServer = selfapi.createServer(other);
+    other.get({
+      title: 'Show something else',
+      handler: function (request, response) {
+        response.end('other');
+      },
+      examples: [{ response: { body: 'other' } }]
+    });
+
+    server.listen(port, function () {
+      var baseUrl = 'http://localhost:' + port;
+      api.test(baseUrl, { reporter: false }).then(function (results) {
+        if (results.passed.length !== 2) {
+          throw new Error('Plain Node.js server self-tests should pass: ' +
+            jsonStringifyWithFunctions(results));
+        }
+        return new Promise(function (resolve, reject) {
+          http.get(baseUrl + '/api/plain/nope', function (response) {
+            response.resume();
+            if (response.statusCode !== 404) {
+              reject(new Error('Unknown routes should respond with 404'));
+              return;
+            }
+            resolve();
+          }).on('error', reject);
+        });
+      }).then(function () {
+        server.close();
+        return other.test(otherServer, { reporter: false });
+      }).then(function (results) {
+        if (results.passed.length !== 1) {
+          throw new Error('selfapi.createServer() should serve the API: ' +
+            jsonStringifyWithFunctions(results));
+        }
+
+        // Failing handlers respond with "500 Internal Server Error", and their
+        // errors are logged.
+        runScript([
+          'var api = selfapi({ path: \'/api\' });',
+          'var server = selfapi.createServer(api);',
+          'api.post(\'/broken\', {',
+          '  title: \'Break\',',
+          '  handler: function () { throw new Error(\'Broken\'); },',
+          '  examples: [{ response: { status: 500 } }]',
+          '});',
+          'api.post(\'/async\', {',
+          '  title: \'Break asynchronously\',',
+          '  handler: async function () { throw new Error(\'Async\'); },',
+          '  examples: [{ response: { status: 500 } }]',
+          '});',
+          'api.test(server, { reporter: \'tap\' });'
+        ], function (error, stdout, stderr) {
+          if (error || stdout.indexOf('not ok') > -1 ||
+              stderr.indexOf('Error: Broken\n') < 0 ||
+              stderr.indexOf('Error: Async\n') < 0) {
+            callback(new Error('Unexpected handler errors: ' +
+              (error || stdout + stderr)));
+            return;
+          }
+          callback();
+        });
+      }).catch(callback);
+    });
+  }
+});
+
+tests.push({
+  title: 'Resource middleware',
+
+  test: function (port, callback) {
+    // Create a new API using Express.
+    var app = express();
+    var api = selfapi(app, '/api/middleware');
+    var items = api.api('/items');
+    var calls = [];
+
+    items.get('/:id', {
+      title: 'Show an item',
+      // Request handlers can also be arrays of functions.
+      handler: [
+        function loadItem (request, response, next) {
+          calls.push('loadItem');
+          request.item = { id: request.params.id, user: request.user };
+          next();
+        },
+        function (request, response) {
+          response.json(request.item);
+        }
+      ],
+      examples: [{
+        request: {
+          urlParameters: { id: '1' },
+          headers: { Authorization: 'Token secret' }
+        },
+        response: { body: { id: '1', user: 'admin' } }
+      }, {
+        request: { urlParameters: { id: '1' } },
+        response: { status: 401 }
+      }]
+    });
+
+    // Middleware also applies to handlers that were added before it.
+    api.use(function logRequest (request, response, next) {
+      calls.push('logRequest');
+      next();
+    });
+    items.use(async function authenticate (request, response, next) {
+      calls.push('authenticate');
+      if (request.headers.authorization !== 'Token secret') {
+        response.statusCode = 401;
+        response.end();
+        return;
+      }
+      request.user = 'admin';
+      next();
+    });
+
+    var markdown = api.toMarkdown();
+    if (markdown.indexOf('Middleware: `logRequest`, `authenticate`, ' +
+        '`loadItem`') < 0) {
+      callback(new Error('Middleware should be documented:\n' + markdown));
+      return;
+    }
+
+    var other = express();
+    var otherApi = selfapi(other, '/other');
+
+    api.test(app, { reporter: false }).then(function (results) {
+      if (results.passed.length !== 2 ||
+          calls.join(',').indexOf('logRequest,authenticate,loadItem') < 0) {
+        throw new Error('Middleware should run before request handlers: ' +
+          calls + ' ' + jsonStringifyWithFunctions(results));
+      }
+
+      // Handlers that are re-exported to another parent keep the middleware
+      // of their own API resource.
+      calls = [];
+      items.parent = otherApi;
+      return otherApi.test(other, { reporter: false });
+    }).then(function (results) {
+      if (results.passed.length !== 2 ||
+          calls.join(',').indexOf('authenticate,loadItem') < 0 ||
+          calls.indexOf('logRequest') > -1) {
+        throw new Error('Re-exported handlers should keep their middleware: ' +
+          calls + ' ' + jsonStringifyWithFunctions(results));
+      }
+      callback();
+    }).catch(callback);
+  }
+});
+
+tests.push({
+  title: 'Remove, replace and re-mount routes',
+
+  test: function (port, callback) {
+    // Create a new API using Express.
+    var app = express();
+    var api = selfapi(app, '/api/routes');
+    var v2 = selfapi(app, '/api/v2');
+    var child = api.api('/child');
+
+    function respond (body) {
+      return function (request, response) {
+        response.end(body);
+      };
+    }
+
+    api.get('/flag', { title: 'Flag', handler: respond('one') });
+    child.get({ title: 'Child', handler: respond('child') });
+
+    // Also remove routes from a plain Node.js server.
+    var server = http.createServer();
+    var plain = selfapi(server, '/plain');
+    plain.get({ title: 'Plain', handler: respond('plain') });
+
+    var baseUrl = 'http://localhost:' + port;
+    function get (path) {
+      return new Promise(function (resolve, reject) {
+        http.get(baseUrl + path, function (response) {
+          var body = '';
+          response.on('data', function (chunk) {
+            body += String(chunk);
+          });
+          response.on('end', function () {
+            resolve(response.statusCode + ' ' + body);
+          });
+        }).on('error', reject);
+      });
+    }
+    function expect (path, expected) {
+      return get(path).then(function (actual) {
+        if (actual.indexOf(expected) !== 0) {
+          throw new Error('Expected ' + path + ' to respond with ' +
+            expected + ', got: ' + actual);
+        }
+      });
+    }
+
+    app.listen(port, function () {
+      Promise.all([
+        expect('/api/routes/flag', '200 one'),
+        expect('/api/routes/child', '200 child')
+      ]).then(function () {
+        api.replace('get', '/flag', { title: 'Flag', handler: respond('two') });
+        return expect('/api/routes/flag', '200 two');
+      }).then(function () {
+        if (!api.remove('get', '/flag') || api.remove('get', '/flag')) {
+          throw new Error('Handlers should only be removed once');
+        }
+        return expect('/api/routes/flag', '404');
+      }).then(function () {
+        child.detach();
+        if (child.parent || api.children['/child'] ||
+            api.toMarkdown().indexOf('Child') > -1) {
+          throw new Error('Detached resources should leave their parent');
+        }
+        return expect('/api/routes/child', '404');
+      }).then(function () {
+        child.parent = v2;
+        return Promise.all([
+          expect('/api/v2/child', '200 child'),
+          expect('/api/routes/child', '404')
+        ]);
+      }).then(function () {
+        // Moving a resource again removes it from its previous parent.
+        child.parent = api;
+        if (v2.children['/child'] || api.children['/child'] !== child) {
+          throw new Error('Moved resources should leave their old parent');
+        }
+        return Promise.all([
+          expect('/api/v2/child', '404'),
+          expect('/api/routes/child', '200 child')
+        ]);
+      }).then(function () {
+        try {
+          api.replace('post', '/nope', { handler: respond('nope') });
+        } catch (error) {
+          plain.remove('get');
+          return;
+        }
+        throw new Error('Replacing unknown handlers should throw');
+      }).then(function () {
+        return plain.test(server, { reporter: false });
+      }).then(function (results) {
+        if (results.passed.length + results.failed.length !== 0) {
+          throw new Error('Removed handlers should not be tested: ' +
+            jsonStringifyWithFunctions(results));
+        }
+        callback();
+      }).catch(callback);
+    });
+  }
+});
+
+tests.push({
+  title: 'API versions',
+
+  test: function (port, callback) {
+    // Create a new API using Express.
+    var app = express();
+    var api = selfapi(app, '/api/versioned', 'Versioned API');
+
+    function respond (body) {
+      return function (request, response) {
+        response.end(body);
+      };
+    }
+
+    var v1 = api.version('v1');
+    var items = v1.api('/items');
+    items.get({
+      title: 'List items',
+      handler: respond('list v1'),
+      examples: [{ response: { body: 'list v1' } }]
+    });
+    items.get('/:id', {
+      title: 'Show an item',
+      handler: respond('item v1'),
+      examples: [{ request: { urlParameters: { id: '1' } },
+        response: { body: 'item v1' } }]
+    });
+    items.delete('/:id', {
+      title: 'Delete an item',
+      handler: respond('deleted'),
+      examples: [{ request: { urlParameters: { id: '1' } },
+        response: { body: 'deleted' } }]
+    });
+
+    // Version 2 starts as a copy of version 1.
+    var v2 = api.version('v2', { from: 'v1' });
+    var items2 = v2.children['/items'];
+    if (api.version('v2') !== v2 || !items2 || items2 === items ||
+        v2.title !== 'Versioned API v2') {
+      callback(new Error('Unexpected v2 API: ' + v2.title));
+      return;
+    }
+    items2.replace('get', '/:id', {
+      title: 'Show an item',
+      handler: respond('item v2'),
+      examples: [{ request: { urlParameters: { id: '1' } },
+        response: { body: 'item v2' } }]
+    });
+    items2.post({
+      title: 'Add an item',
+      handler: respond('added'),
+      examples: [{ response: { body: 'added' } }]
+    });
+    items2.remove('delete', '/:id');
+
+    try {
+      api.version('v3', { from: 'v0' });
+      callback(new Error('Unknown versions should throw'));
+      return;
+    } catch (error) { }
+
+    var expectedChanges = [
+      { change: 'added', method: 'POST', path: '/items',
+        title: 'Add an item' },
+      { change: 'changed', method: 'GET', path: '/items/:id',
+        title: 'Show an item' },
+      { change: 'removed', method: 'DELETE', path: '/items/:id',
+        title: 'Delete an item' }
+    ];
+    var changes = v2.changesSince('v1');
+    if (JSON.stringify(changes) !== JSON.stringify(expectedChanges)) {
+      callback(new Error('Unexpected changes since v1: ' +
+        JSON.stringify(changes, null, 2)));
+      return;
+    }
+
+    var markdown = v2.toMarkdown();
+    var expectedSection =
+      '## Changes since v1\n\n' +
+      '- Added `POST /items`: Add an item\n' +
+      '- Changed `GET /items/:id`: Show an item\n' +
+      '- Removed `DELETE /items/:id`: Delete an item\n';
+    if (markdown.indexOf(expectedSection) < 0 ||
+        v1.toMarkdown().indexOf('Changes since') > -1) {
+      callback(new Error('Unexpected v2 documentation:\n' + markdown));
+      return;
+    }
+    if (v2.toHTML().indexOf('<li>Added <code>POST /items</code>') < 0) {
+      callback(new Error('Unexpected v2 HTML documentation'));
+      return;
+    }
+
+    app.listen(port, function () {
+      // Like other API resources, versions are tested relative to their parent.
+      var baseUrl = 'http://localhost:' + port + '/api/versioned';
+      Promise.all([
+        v1.test(baseUrl, { reporter: false }),
+        v2.test(baseUrl, { reporter: false })
+      ]).then(function (results) {
+        var counts = results.map(function (result) {
+          return result.passed.length + '/' + result.failed.length;
+        }).join(' ');
+        if (counts !== '3/0 3/0') {
+          throw new Error('Unexpected v1 and v2 self-test results: ' +
+            jsonStringifyWithFunctions(results));
+        }
+        callback();
+      }).catch(callback);
+    });
+  }
+});
+
+tests.push({
+  title: 'Deprecated request handlers',
+
+  test: function (port, callback) {
+    // Create a new API using Express.
+    var app = express();
+    var api = selfapi(app, '/api/deprecated', 'Deprecated API');
+
+    api.get('/old', {
+      title: 'Old endpoint',
+      handler: function (request, response) {
+        response.end('old');
+      },
+      deprecated: {
+        since: '2020-01-01',
+        sunset: new Date(Date.UTC(2021, 0, 1)),
+        replacement: '/api/deprecated/new'
+      },
+      examples: [{ response: { body: 'old' } }]
+    });
+    api.get('/legacy', {
+      title: 'Legacy endpoint',
+      handler: function (request, response) {
+        response.end('legacy');
+      },
+      deprecated: true,
+      examples: [{ response: { body: 'legacy' } }]
+    });
+    api.get('/new', {
+      title: 'New endpoint',
+      handler: function (request, response) {
+        response.end('new');
+      },
+      examples: [{ response: { body: 'new' } }]
+    });
+
+    var markdown = api.toMarkdown();
+    var expectedLines = [
+      '**Deprecated** since 2020-01-01, and will be removed on 2021-01-01. ' +
+        'Use `/api/deprecated/new` instead.',
+      '**Deprecated**.'
+    ];
+    for (var i = 0; i < expectedLines.length; i++) {
+      if (markdown.indexOf('\n' + expectedLines[i] + '\n') < 0) {
+        callback(new Error('Unexpected documentation:\n' + markdown));
+        return;
+      }
+    }
+    if (api.toHTML().indexOf('<p><strong>Deprecated</strong>.</p>') < 0) {
+      callback(new Error('Unexpected HTML documentation'));
+      return;
+    }
+    var paths = api.toOpenAPI().paths;
+    if (paths['/api/deprecated/old'].get.deprecated !== true ||
+        'deprecated' in paths['/api/deprecated/new'].get) {
+      callback(new Error('Unexpected OpenAPI operations: ' +
+        JSON.stringify(paths)));
+      return;
+    }
+
+    function getHeaders (path) {
+      return new Promise(function (resolve, reject) {
+        http.get('http://localhost:' + port + path, function (response) {
+          response.resume();
+          resolve(response.headers);
+        }).on('error', reject);
+      });
+    }
+
+    app.listen(port, function () {
+      Promise.all([
+        getHeaders('/api/deprecated/old'),
+        getHeaders('/api/deprecated/legacy'),
+        getHeaders('/api/deprecated/new')
+      ]).then(function (headers) {
+        var expected = [
+          {
+            deprecation: '@1577836800',
+            sunset: 'Fri, 01 Jan 2021 00:00:00 GMT',
+            link: '</api/deprecated/new>; rel="successor-version"'
+          },
+          { deprecation: 'true' },
+          {}
+        ];
+        expected.forEach(function (expectedHeaders, index) {
+          [ 'deprecation', 'sunset', 'link' ].forEach(function (name) {
+            if (headers[index][name] !== expectedHeaders[name]) {
+              throw new Error('Unexpected ' + name + ' header: ' +
+                headers[index][name]);
+            }
+          });
+        });
+        return api.test('http://localhost:' + port, { reporter: false });
+      }).then(function (results) {
+        var expectedWarning = 'Sunset date 2021-01-01 has passed, but ' +
+          'GET /api/deprecated/old is still registered';
+        if (results.failed.length > 0 || results.warnings.length !== 1 ||
+            results.warnings[0].message !== expectedWarning ||
+            selfapi.reporters.summary(results).indexOf('\nWarning: ' +
+              expectedWarning) < 0 ||
+            selfapi.reporters.junit(results).indexOf('\n    <system-err>' +
+              'Warning: ' + expectedWarning + '</system-err>\n') < 0) {
+          throw new Error('Unexpected self-test results: ' +
+            jsonStringifyWithFunctions(results));
+        }
+        callback();
+      }).catch(callback);
+    });
+  }
+});
+
+tests.push({
+  title: 'Escaped HTML documentation pages',
+
+  test: function (port, callback) {
+    var api = selfapi({
+      title: 'Items <script>alert(1)</script>',
+      description: 'Items & "things"'
+    });
+    var items = api.api('/items', 'Items');
+    items.get({
+      title: 'List <b>items</b>',
+      handler: function (request, response) {
+        response.json([ '<b>' ]);
+      },
+      examples: [{ response: { body: [ 'a < b' ] } }]
+    });
+    items.post({
+      title: 'Add an item',
+      handler: function (request, response) {
+        response.end();
+      }
+    });
+
+    var html = api.toHTML();
+    var unexpected = [ '<script>', '<b>', '"things"', 'a < b' ];
+    var expected = [
+      '<h1 id="items-scriptalert1script">' +
+        'Items &lt;script&gt;alert(1)&lt;/script&gt;</h1>',
+      '<p>Items &amp; &quot;things&quot;</p>',
+      '<h2 id="list-bitemsb">List &lt;b&gt;items&lt;/b&gt;</h2>',
+      '<pre><span class="method method-get">GET</span> /items</pre>',
+      '&quot;a &lt; b&quot;'
+    ];
+    if (unexpected.some(function (text) { return html.indexOf(text) > -1; }) ||
+        expected.some(function (text) { return html.indexOf(text) < 0; })) {
+      callback(new Error('Unexpected HTML documentation:\n' + html));
+      return;
+    }
+
+    var page = api.toHTMLPage();
+    var toc = [
+      '<nav>',
+      '<ul>',
+      '<li><a href="#items-scriptalert1script">' +
+        'Items &lt;script&gt;alert(1)&lt;/script&gt;</a>',
+      '<ul>',
+      '</ul>',
+      '</li>',
+      '<li><a href="#items">Items</a>',
+      '<ul>',
+      '<li><a href="#list-bitemsb"><span class="method method-get">GET' +
+        '</span> List &lt;b&gt;items&lt;/b&gt;</a></li>',
+      '<li><a href="#add-an-item"><span class="method method-post">POST' +
+        '</span> Add an item</a></li>',
+      '</ul>',
+      '</li>',
+      '</ul>',
+      '</nav>'
+    ].join('\n');
+    if (page.indexOf('<!DOCTYPE html>') !== 0 ||
+        page.indexOf('<title>Items &lt;script&gt;alert(1)&lt;/script&gt;' +
+          '</title>') < 0 ||
+        page.indexOf('.method-get {') < 0 ||
+        page.indexOf(toc) < 0 ||
+        page.indexOf('<main>\n' + html + '\n</main>') < 0) {
+      callback(new Error('Unexpected HTML page:\n' + page));
+      return;
+    }
+
+    var custom = api.toHTMLPage({
+      template: '<title>{{title}}</title>{{content}}'
+    });
+    if (custom !== '<title>Items &lt;script&gt;alert(1)&lt;/script&gt;' +
+        '</title>' + html) {
+      callback(new Error('Unexpected custom HTML page:\n' + custom));
+      return;
+    }
+    var titles = api.toHTMLPage('/api', {
+      template: function (page) {
+        return page.content.match(/<h2 id="[^"]*">[^<]*<\/h2>/g).join('\n');
+      }
+    });
+    if (titles !== '<h2 id="list-bitemsb">List &lt;b&gt;items&lt;/b&gt;</h2>' +
+        '\n<h2 id="add-an-item">Add an item</h2>') {
+      callback(new Error('Unexpected template function output:\n' + titles));
+      return;
+    }
+
+    callback();
+  }
+});
+
+tests.push({
+  title: 'Interactive HTML documentation',
+
+  test: function (port, callback) {
+    var api = selfapi({ title: 'Try it' });
+    var items = api.api('/items');
+    items.post('/:id/*', {
+      title: 'Update an item',
+      handler: function (request, response) {
+        response.end();
+      },
+      parameters: {
+        queryParameters: {
+          type: 'object',
+          properties: { dryRun: { type: 'boolean' } }
+        }
+      },
+      examples: [{
+        request: {
+          urlParameters: { id: '<1>', '*': 'a/b' },
+          queryParameters: { notify: 'yes' },
+          headers: { 'X-Token': 'secret' },
+          body: { name: 'Item' }
+        }
+      }]
+    });
+    items.get({
+      title: 'List items',
+      handler: function (request, response) {
+        response.end();
+      }
+    });
+    api.all('/any', {
+      title: 'Do anything',
+      handler: function (request, response) {
+        response.end();
+      },
+      // Request methods from examples are escaped too.
+      examples: [{ request: { method: 'x"><b>' } }]
+    });
+
+    if (api.toHTML().indexOf('<form') > -1) {
+      callback(new Error('HTML documentation should not be interactive by ' +
+        'default'));
+      return;
+    }
+
+    var html = api.toHTML({ interactive: { baseUrl: 'https://example.com' } });
+    var expected = [
+      '<form class="try-it" data-method="POST" ' +
+        'data-base-url="https://example.com" data-path="/items/:id/*">',
+      '<label>id <input name="url:id" value="&lt;1&gt;"></label>',
+      '<label>* <input name="url:0" value="a/b"></label>',
+      '<label>notify <input name="query:notify" value="yes"></label>',
+      '<label>dryRun <input name="query:dryRun" value=""></label>',
+      '<label>Headers <textarea name="headers">X-Token: secret</textarea>' +
+        '</label>',
+      '<label>Body <textarea name="body">{\n  &quot;name&quot;: ' +
+        '&quot;Item&quot;\n}</textarea></label>',
+      '<form class="try-it" data-method="GET" ' +
+        'data-base-url="https://example.com" data-path="/items">',
+      '<form class="try-it" data-method="X&quot;&gt;&lt;B&gt;" ' +
+        'data-base-url="https://example.com" data-path="/any">',
+      '<button type="submit">Send X&quot;&gt;&lt;B&gt; request</button>'
+    ];
+    var missing = expected.filter(function (text) {
+      return html.indexOf(text) < 0;
+    });
+    var scripts = html.match(/<script>\n([\s\S]*?)\n<\/script>/g) || [];
+    var getForm = /data-method="GET"[\s\S]*?<\/form>/.exec(html) || [ '' ];
+    if (missing.length > 0 || scripts.length !== 1 ||
+        getForm[0].indexOf('name="headers"') < 0 ||
+        getForm[0].indexOf('name="body"') > -1) {
+      callback(new Error('Unexpected interactive documentation:\n' + html));
+      return;
+    }
+    if (api.toHTMLPage({ interactive: true }).indexOf('<script>') < 0) {
+      callback(new Error('HTML pages should support interactive forms'));
+      return;
+    }
+
+    // Submit the first form to a fake browser.
+    var submit = null;
+    var fakeDocument = {
+      addEventListener: function (type, listener) {
+        submit = listener;
+      }
+    };
+    var requests = [];
+    function fakeFetch (url, init) {
+      requests.push({ url: url, init: init });
+      return Promise.resolve({
+        status: 201,
+        statusText: 'Created',
+        headers: new Map([[ 'content-type', 'text/plain' ]]),
+        text: function () {
+          return Promise.resolve('created');
+        }
+      });
+    }
+    var script = /<script>\n([\s\S]*?)\n<\/script>/.exec(html)[1];
+    new Function('document', 'fetch', script)(fakeDocument, fakeFetch);
+
+    var fields = [
+      { name: 'url:id', value: '<1>' },
+      { name: 'url:0', value: 'a/b' },
+      { name: 'query:notify', value: 'yes' },
+      { name: 'query:dryRun', value: '' },
+      { name: 'headers', value: 'X-Token: secret' },
+      { name: 'body', value: '{"name":"Item"}' }
+    ];
+    fields.forEach(function (field) {
+      fields[field.name] = field;
+    });
+    var output = { hidden: true, textContent: '' };
+    var prevented = false;
+    submit({
+      target: {
+        classList: { contains: function (name) { return name === 'try-it'; } },
+        dataset: {
+          method: 'POST',
+          baseUrl: 'https://example.com',
+          path: '/items/:id/*'
+        },
+        elements: fields,
+        querySelector: function () {
+          return output;
+        }
+      },
+      preventDefault: function () {
+        prevented = true;
+      }
+    });
+
+    var request = JSON.stringify(requests);
+    var expectedRequest = JSON.stringify([{
+      url: 'https://example.com/items/%3C1%3E/a/b?notify=yes',
+      init: {
+        method: 'POST',
+        headers: { 'X-Token': 'secret' },
+        body: '{"name":"Item"}'
+      }
+    }]);
+    if (!prevented || request !== expectedRequest) {
+      callback(new Error('Unexpected request: ' + request));
+      return;
+    }
+    setTimeout(function () {
+      var expectedOutput =
+        'Status: 201 Created\ncontent-type: text/plain\n\ncreated';
+      if (output.hidden || output.textContent !== expectedOutput) {
+        callback(new Error('Unexpected live response: ' + output.textContent));
+        return;
+      }
+      callback();
+    }, 10);
+  }
+});
+
+tests.push({
+  title: 'Document all examples, status codes and parameters',
+
+  test: function (port, callback) {
+    var api = selfapi({ title: 'Shop', description: 'All the items.' });
+    api.get({
+      title: 'Show the shop',
+      handler: function (request, response) {
+        response.end('shop');
+      },
+      examples: [{ response: { body: 'shop' } }]
+    });
+    var items = api.api('/items', 'Items');
+    items.get('/:id', {
+      title: 'Show an item',
+      handler: function (request, response) {
+        response.end();
+      },
+      responses: { 410: { description: 'The item was sold.' } },
+      examples: [{
+        title: 'Existing item',
+        description: 'Items can be found by ID.',
+        request: {
+          urlParameters: { id: '1' },
+          queryParameters: { fields: 'name' }
+        },
+        response: { body: 'item 1' }
+      }, {
+        request: { urlParameters: { id: '2' } },
+        response: { status: 404 }
+      }]
+    });
+
+    var markdown = api.toMarkdown();
+    var expected = [
+      '# Shop\n\nAll the items.\n\n' +
+        '- [Show the shop](#show-the-shop) `GET`\n' +
+        '- [Items](#items)\n' +
+        '  - [Show an item](#show-an-item) `GET`\n\n' +
+        '## Show the shop\n\n',
+      '### Status codes:\n\n| Status | Description |\n| --- | --- |\n' +
+        '| 200 | OK |\n\n### Example response:\n\n    shop\n\n# Items',
+      '| `id` | URL | string | yes |  |\n' +
+        '| `fields` | query | string | no |  |\n',
+      '| 200 | OK |\n| 404 | Not Found |\n| 410 | The item was sold. |\n',
+      '### Example: Existing item\n\nItems can be found by ID.\n\n' +
+        '#### Input:\n\n    GET /items/1?fields=name\n\n' +
+        '#### Response:\n\n    item 1\n\n',
+      '### Example 2\n\n#### Input:\n\n    GET /items/2\n\n' +
+        '#### Response:\n\n    Status: 404 Not Found\n'
+    ];
+    var missing = expected.filter(function (text) {
+      return markdown.indexOf(text) < 0;
+    });
+    if (missing.length > 0 || markdown.indexOf('TODO') > -1) {
+      callback(new Error('Unexpected Markdown documentation:\n' + markdown +
+        '\nMissing:\n' + missing.join('\n')));
+      return;
+    }
+
+    var withoutToc = api.toMarkdown({ toc: false });
+    if (withoutToc.indexOf('# Shop\n\nAll the items.\n\n## Show the shop') !==
+        0 || items.toMarkdown('/api').indexOf('# Items\n\n- [Show') !== 0) {
+      callback(new Error('Unexpected table of contents:\n' + withoutToc));
+      return;
+    }
+
+    var html = api.toHTML();
+    var expectedHTML = [
+      '<tr><td>410</td><td>The item was sold.</td></tr>',
+      '<tr><td><code>fields</code></td><td>query</td>',
+      '<h3>Example: Existing item</h3>\n<p>Items can be found by ID.</p>\n' +
+        '<h4>Input</h4>\n<pre>GET /items/1?fields=name\n</pre>',
+      '<h3>Example 2</h3>'
+    ];
+    missing = expectedHTML.filter(function (text) {
+      return html.indexOf(text) < 0;
+    });
+    if (missing.length > 0) {
+      callback(new Error('Unexpected HTML documentation:\n' + html));
+      return;
+    }
+
+    callback();
+  }
+});
+
+tests.push({
+  title: 'Authentication schemes and credentials',
+
+  test: function (port, callback) {
+    // Create a new API using Express, with a bearer token by default.
+    var app = express();
+    var api = selfapi(app, '/api/auth', { title: 'Auth', auth: 'bearer' });
+
+    // Respond with the received credentials, or refuse requests without any.
+    function respondWith (header, refusedStatus) {
+      return function (request, response) {
+        var credentials = request.headers[header];
+        if (!credentials) {
+          response.statusCode = refusedStatus || 401;
+          response.end();
+          return;
+        }
+        response.end(credentials);
+      };
+    }
+
+    api.get('/me', {
+      title: 'Show me',
+      handler: respondWith('authorization'),
+      examples: [{
+        unauthenticated: true,
+        response: { body: 'Bearer t0k3n' }
+      }, {
+        // Examples can still send their own credentials.
+        request: { headers: { authorization: 'Bearer other' } },
+        response: { body: 'Bearer other' }
+      }]
+    });
+    api.get('/public', {
+      title: 'Public',
+      auth: false,
+      handler: respondWith('authorization', 200),
+      examples: [{ response: { body: '' } }]
+    });
+    api.get('/basic', {
+      title: 'Basic',
+      auth: { type: 'basic' },
+      handler: respondWith('authorization'),
+      examples: [{ response: { body: 'Basic ' +
+        Buffer.from('me:secret').toString('base64') } }]
+    });
+
+    var keys = api.api('/keys', { auth: { type: 'apiKey', header: 'X-Key' } });
+    keys.get({
+      title: 'Show key',
+      handler: respondWith('x-key', 403),
+      examples: [{ unauthenticated: 403, response: { body: 'k3y' } }]
+    });
+    var session = api.api('/session', { auth: 'cookie' });
+    session.get({
+      title: 'Show session',
+      handler: function (request, response) {
+        var cookies = request.headers.cookie || '';
+        if (!/(^|; )session=/.test(cookies)) {
+          response.statusCode = 401;
+        }
+        response.end(cookies);
+      },
+      examples: [{
+        request: { headers: { Cookie: 'theme=dark' } },
+        unauthenticated: true,
+        response: { body: 'theme=dark; session=s%2F1' }
+      }]
+    });
+
+    var markdown = api.toMarkdown();
+    var expected = [
+      '## Show me\n\n    GET /api/auth/me\n\nAuthentication: Bearer token\n',
+      '## Public\n\n    GET /api/auth/public\n\n###',
+      'Authentication: Basic authentication\n',
+      'Authentication: API key (`X-Key` header)\n',
+      'Authentication: Cookie session (`session` cookie)\n'
+    ];
+    var missing = expected.filter(function (text) {
+      return markdown.indexOf(text) < 0;
+    });
+    if (missing.length > 0 || api.toHTML().indexOf(
+      '<p>Authentication: API key (<code>X-Key</code> header)</p>') < 0) {
+      callback(new Error('Unexpected documentation:\n' + markdown));
+      return;
+    }
+
+    // Authentication schemes become OpenAPI security schemes, and back.
+    var document = api.toOpenAPI();
+    var security = Object.keys(document.paths).map(function (path) {
+      return path + ' ' + JSON.stringify(document.paths[path].get.security);
+    });
+    var expectedSecurity = [
+      '/api/auth/me [{"bearer":[]}]',
+      '/api/auth/public undefined',
+      '/api/auth/basic [{"basic":[]}]',
+      '/api/auth/keys [{"apiKey_X-Key":[]}]',
+      '/api/auth/session [{"cookie":[]}]'
+    ];
+    var securitySchemes = document.components.securitySchemes;
+    var imported = selfapi.fromOpenAPI({
+      paths: {
+        '/default': { get: {} },
+        '/public': { get: { security: [] } },
+        '/key': { get: { security: [ { key: [] } ] } },
+        '/oauth': { get: { security: [ { oauth: [ 'read' ] } ] } }
+      },
+      security: [ { bearer: [] } ],
+      components: {
+        securitySchemes: {
+          bearer: securitySchemes.bearer,
+          key: { type: 'apiKey', in: 'cookie', name: 'sid' },
+          oauth: { type: 'oauth2', flows: {} }
+        }
+      }
+    });
+    var importedAuth = [ '/default', '/public', '/key', '/oauth' ]
+      .map(function (path) {
+        return JSON.stringify(imported.children[path].handlers.get.auth);
+      });
+    if (security.join('\n') !== expectedSecurity.join('\n') ||
+        JSON.stringify(securitySchemes['apiKey_X-Key']) !== JSON.stringify({
+          type: 'apiKey', in: 'header', name: 'X-Key', description: 'API key'
+        }) || importedAuth.join() !== [
+          '{"type":"bearer","description":"Bearer token"}',
+          'false',
+          '{"type":"cookie","cookie":"sid"}',
+          undefined
+        ].join()) {
+      callback(new Error('Unexpected OpenAPI security: ' +
+        JSON.stringify(document) + ' ' + importedAuth));
+      return;
+    }
+
+    app.listen(port, function () {
+      var baseUrl = 'http://localhost:' + port;
+      api.test(baseUrl, {
+        reporter: false,
+        credentials: {
+          bearer: 't0k3n',
+          basic: { username: 'me', password: 'secret' },
+          apiKey: 'k3y',
+          cookie: 's/1'
+        }
+      }).then(function (results) {
+        var names = results.passed.filter(function (summary) {
+          return summary.unauthenticated;
+        }).map(function (summary) {
+          return summary.uri;
+        }).sort();
+        var expectedNames = [
+          '/api/auth/keys',
+          '/api/auth/me',
+          '/api/auth/session'
+        ];
+        if (results.failed.length > 0 || results.passed.length !== 9 ||
+            names.join(', ') !== expectedNames.join(', ') ||
+            selfapi.reporters.spec(results)
+              .indexOf('GET /api/auth/keys (unauthenticated)') < 0 ||
+            JSON.stringify(results.passed.map(function (summary) {
+              return summary.request;
+            })).indexOf('t0k3n') > -1) {
+          throw new Error('Unexpected self-test results: ' +
+            jsonStringifyWithFunctions(results));
+        }
+
+        // Without credentials, authenticated examples fail.
+        return api.test(baseUrl, { reporter: false });
+      }).then(function (results) {
+        if (results.passed.length !== 5 || results.failed.length !== 4) {
+          throw new Error('Unexpected self-test results without ' +
+            'credentials: ' + jsonStringifyWithFunctions(results));
+        }
+
+        // Unknown schemes (even in the wrong case) throw when declared.
+        [ 'magic', 'Bearer', { type: 'constructor' } ].forEach(function (auth) {
+          try {
+            api.get('/unknown', {
+              title: 'Unknown',
+              auth: auth,
+              handler: respondWith('authorization')
+            });
+          } catch (error) {
+            return;
+          }
+          throw new Error('Unknown authentication schemes should throw: ' +
+            JSON.stringify(auth));
+        });
+        try {
+          selfapi({ auth: { type: 'oauth' } });
+        } catch (error) {
+          callback();
+          return;
+        }
+        throw new Error('Unknown API authentication schemes should throw');
+      }).catch(callback);
+    });
+  }
+});
+
+/*
+tests.push({
+  title: '',
+
+  test: function (port, callback) {
+    // test some things
+    // callback(error);
+  }
+});
+*/
+
+// TODO test all ways to create API resources
+// TODO test that documentation works
+// TODO test with restify and scoutcamp
+
+function jsonStringifyWithFunctions (value) {
+  function replacer (key, value) {
+    if (typeof value === 'function') {
+      // Stringify this function, and slightly minify it.
+      value = String(value).replace(/\s+/g, ' ');
+    }
+    return value;
+  }
+  return JSON.stringify(value, replacer, 2);
+}
+
+// Run a script that uses selfapi in a separate Node.js process, e.g. to check
+// what it logs, or how it exits.
+function runScript (lines, callback) {
+  var script = [
+    'var http = require(\'http\');',
+    'var selfapi = require(' + JSON.stringify(__dirname + '/selfapi') + ');'
+  ].concat(lines).join('\n');
+  childProcess.execFile(process.execPath, [ '-e', script ], { timeout: 5000 },
+    callback);
 }
 
 function fakeServer () {